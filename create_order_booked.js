@@ -55,66 +55,22 @@ async function testCreateOrder() {
 }
 
 
-function createBookedOrder(instanceName, customerId, orderData) {
-    // Validate Instance Name
-    if (!Object.values(Instance).includes(instanceName)) {
-        Logger.log(`Error: Invalid instance name: ${instanceName}`);
-        return null;
+function createBookedOrder(instanceName, customerId, orderData, options = {}) {
+    const check = checkOrderPayload_('createBookedOrder', instanceName, orderData, OrderPayloadType.BOOKED, options);
+    if (!check.proceed) {
+        return check.value;
     }
 
-    // Get Instance Configuration
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Get Access Token
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`Error: Could not retrieve access token for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Construct API URL
-    const apiUrl = `https://platform.roserocket.com/api/v1/customers/${customerId}/create_booked_order`;
-    Logger.log(`API URL: ${apiUrl}`);
-
-    // Prepare Request Options
-    const options = {
-        'method': 'post',
-        'contentType': 'application/json',
-        'headers': {
-            'Authorization': `Bearer ${accessToken}`
-        },
-        'payload': JSON.stringify(orderData),
-        'muteHttpExceptions': true
-    };
-
-  
-  try {
-    const response = UrlFetchApp.fetch(apiUrl, options);
-    
-    const responseCode = response.getResponseCode();
-    const responseBody = response.getContentText();
-
-    Logger.log('Response Code: ' + responseCode);
-    Logger.log('Response Body: ' + responseBody);
+    const result = getRoseRocketClient(instanceName).post(`/api/v1/customers/${customerId}/create_booked_order`, orderData, {
+        label: 'createBookedOrder',
+        resourceName: 'Customer',
+    });
 
-    if (responseCode >= 200 && responseCode < 300) {
-      // Successful response
-      const jsonResponse = JSON.parse(responseBody);
-      Logger.log('Order created successfully: ' + JSON.stringify(jsonResponse));
-      return jsonResponse; // or do something with the data
-    } else {
-      // Handle error responses
-      Logger.log('Error creating order. Response code: ' + responseCode + ', Body: ' + responseBody);
-      // You might want to throw an error or return null to indicate failure
-      return null;
+    if (!result.ok) {
+        Logger.log('Error creating order. Response code: ' + result.status + ', Body: ' + result.body);
+        return null; // Indicate failure
     }
 
-  } catch (e) {
-    Logger.log('An error occurred: ' + e);
-    return null; // Indicate failure
-  }
-}
\ No newline at end of file
+    Logger.log('Order created successfully: ' + result.body);
+    return result.data;
+}
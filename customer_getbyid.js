@@ -6,52 +6,21 @@
  * @returns {object|null} The customer object if found, or null on error.
  */
 function getCustomerDetails(instanceName, customerId) {
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`getCustomerDetails: Failed to get access token for ${instanceName}.`);
-        return null;
-    }
+    const result = getRoseRocketClient(instanceName).get(`/api/v1/customers/${customerId}`, {
+        label: 'getCustomerDetails',
+        resourceName: 'Customer',
+    });
 
-     const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
+    if (!result.ok) {
+        return null; // Error already logged by the client
     }
-    const baseUrl = `https://platform.roserocket.com`;
-    // Construct API URL to get customer by ID.
-    const customerUrl = `${baseUrl}/api/v1/customers/${customerId}`;
-
-    const options = {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        muteHttpExceptions: true,
-    };
 
-    try {
-        const response = UrlFetchApp.fetch(customerUrl, options);
-        const responseCode = response.getResponseCode();
-
-        if (responseCode >= 200 && responseCode < 300) {
-            const parsedResponse = JSON.parse(response.getContentText());
-            // Check if the 'customer' property exists and return it directly
-            if (parsedResponse && parsedResponse.customer) {
-                return parsedResponse.customer; // Return the unwrapped customer object
-            } else {
-                Logger.log(`getCustomerDetails: Unexpected response format. Missing 'customer' property. Response: ${response.getContentText()}`);
-                return null;
-            }
-        } else {
-            Logger.log(`getCustomerDetails: Error fetching customer details for customer ID ${customerId}. Response Code: ${responseCode}`);
-            Logger.log(response.getContentText());
-            return null;
-        }
-    } catch (error) {
-        Logger.log(`getCustomerDetails: Error: ${error}`);
-        return null;
+    // Check if the 'customer' property exists and return it directly
+    if (result.data && result.data.customer) {
+        return result.data.customer; // Return the unwrapped customer object
     }
+    Logger.log(`getCustomerDetails: Unexpected response format. Missing 'customer' property. Response: ${result.body}`);
+    return null;
 }
 
 /**
@@ -0,0 +1,235 @@
+/**
+ * Equipment registry: list the fleet, read the details of a unit (plates, VIN, type,
+ * status, current manifest) and find the manifests a unit has been on.
+ *
+ * Equipment types are matched by name, case-insensitively. EquipmentType lists the usual
+ * ones, but any custom type of the instance (e.g., 'Reefer') can be passed as a string.
+ */
+
+// --- Equipment type enum (names of equipment_type in Rose Rocket) ---
+const EquipmentType = {
+  VEHICLE: 'Vehicle', // Trucks and tractors (see getTruckNumberForManifest())
+  TRAILER: 'Trailer',
+  CHASSIS: 'Chassis',
+  CONTAINER: 'Container',
+};
+
+
+/**
+ * Lists the equipment of the fleet.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const chassis = listEquipment(Instance.AMADO, { type: EquipmentType.CHASSIS, status: 'active' });
+ * chassis.forEach(unit => Logger.log(`${unit.name} (${unit.plate || 'no plate'})`));
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} [options]
+ * @param {string} [options.type] Only this equipment type (see EquipmentType; custom types allowed).
+ * @param {string} [options.status] Only this status (e.g., 'active').
+ * @param {object} [options.query] Other query parameters of the equipment list.
+ * @param {number} [options.maxItems] Stop after this many matching units.
+ * @returns {Array<object>|null} The units (see getEquipmentDetails()), or null on error.
+ */
+function listEquipment(instanceName, options = {}) {
+  const label = 'listEquipment';
+  const matches = unit => (!options.type || isEquipmentType_(unit, options.type))
+    && (!options.status || String(unit.status || '').toLowerCase() === String(options.status).toLowerCase());
+
+  // The type and status are filtered here, so maxItems counts the units that match
+  const units = [];
+  const summary = paginate(instanceName, '/api/v1/equipment', {
+    label: label,
+    resourceName: 'Equipment',
+    query: options.query,
+    itemsPath: 'equipment',
+    onPage: items => {
+      Array.prototype.push.apply(units, items.map(normalizeEquipment_).filter(matches));
+      return !(options.maxItems && units.length >= options.maxItems);
+    },
+  });
+  if (!summary) {
+    return null; // Error already logged by the client
+  }
+
+  if (options.maxItems) {
+    units.splice(options.maxItems);
+  }
+  Logger.log(`${label}: ${units.length} unit(s)${options.type ? ` of type ${options.type}` : ''} (${summary.itemsFetched} listed).`);
+  return units;
+}
+
+/**
+ * Gets the details of an equipment unit.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} equipmentId The equipment ID.
+ * @returns {object|null} { id, name, type, status, plate, plateState, vin, make, model, year,
+ *   currentManifestId, raw } (`raw` is the unit as returned by the API), or null if not found or on error.
+ */
+function getEquipmentDetails(instanceName, equipmentId) {
+  const result = getRoseRocketClient(instanceName).get(`/api/v1/equipment/${equipmentId}`, {
+    label: 'getEquipmentDetails',
+    resourceName: 'Equipment',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  const data = result.data && result.data.data ? result.data.data : result.data;
+  return normalizeEquipment_(data && data.equipment ? data.equipment : data);
+}
+
+/**
+ * Gets the equipment of a given type on a manifest.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string} type The equipment type (see EquipmentType; custom types allowed).
+ * @returns {Array<object>|null} The units (see getEquipmentDetails()), or null on error.
+ */
+function getEquipmentOfTypeForManifest(instanceName, manifestId, type) {
+  const equipment = getEquipmentForManifest(instanceName, manifestId);
+  if (!equipment) {
+    return null; // Error already logged in getEquipmentForManifest
+  }
+  return equipment.map(normalizeEquipment_).filter(unit => isEquipmentType_(unit, type));
+}
+
+/**
+ * Finds the manifests a unit has been on over a date range. The manifests of the range are
+ * listed with the manifest search and their equipment is read one by one. The scan stops
+ * before the execution time limit; run it again with `startOffset: nextOffset` to go on.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const history = findManifestsForEquipment(Instance.AMADO, chassisId, new Date(2025, 0, 1), new Date(2025, 0, 31, 23, 59));
+ * history.manifests.forEach(m => Logger.log(`${m.publicId} ${m.status} ${m.created}`));
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} equipmentId The equipment ID.
+ * @param {Date} start Start of the range.
+ * @param {Date} end End of the range.
+ * @param {object} [options]
+ * @param {string} [options.dateField='created'] Date filter of the manifest search: '<dateField>_start_at' / '<dateField>_end_at'.
+ * @param {number} [options.maxManifests] Stop the search after this many manifests.
+ * @param {number} [options.startOffset=0] Resume a previous run from its `nextOffset`.
+ * @param {number} [options.maxRuntimeMs] Stop scanning after this long (see DEFAULT_SCAN_RUNTIME_MS).
+ * @param {string} [options.timeZone] Timezone of the dates (defaults to the script timezone).
+ * @returns {object|null} { manifests, scanned, failed, done, nextOffset }:
+ *   - `manifests`: { manifestId, publicId, status, created } for each manifest the unit was on.
+ *   - `failed`: IDs of the manifests whose equipment couldn't be read.
+ *   - `done`: false if the time ran out; run again with `startOffset: nextOffset`.
+ *   Returns null if the search fails.
+ */
+function findManifestsForEquipment(instanceName, equipmentId, start, end, options = {}) {
+  const label = 'findManifestsForEquipment';
+  const dateField = options.dateField || 'created';
+  const zone = options.timeZone || Session.getScriptTimeZone();
+  const query = {};
+  query[`${dateField}_start_at`] = Utilities.formatDate(start, zone, ORDER_SEARCH_DATE_FORMAT);
+  query[`${dateField}_end_at`] = Utilities.formatDate(end, zone, ORDER_SEARCH_DATE_FORMAT);
+  const history = { manifests: [], scanned: 0, failed: [], done: false, nextOffset: null };
+  const scan = paginateWithTimeBudget_(instanceName, '/api/v1/manifests', {
+    label: label,
+    resourceName: 'Manifest',
+    query: query,
+    itemsPath: 'manifests',
+    maxItems: options.maxManifests,
+    startOffset: options.startOffset,
+    maxRuntimeMs: options.maxRuntimeMs,
+  }, manifest => {
+    let equipment = null;
+    try {
+      equipment = getEquipmentForManifest(instanceName, manifest.id);
+    } catch (e) {
+      Logger.log(`${label}: ${e.message}`); // ErrorMode.THROW: keep going with the rest
+    }
+    if (!equipment) {
+      history.failed.push(manifest.id);
+      return;
+    }
+    if (equipment.some(entry => normalizeEquipment_(entry).id === equipmentId)) {
+      history.manifests.push({
+        manifestId: manifest.id,
+        publicId: manifest.public_id || null,
+        status: manifest.status || null,
+        created: manifest.created_at || null,
+      });
+    }
+  });
+  if (!scan) {
+    return null; // Error already logged by the client
+  }
+  history.scanned = scan.scanned;
+  history.done = scan.done;
+  history.nextOffset = scan.nextOffset;
+
+  Logger.log(`${label}: Equipment ${equipmentId} was on ${history.manifests.length} of ${history.scanned} manifest(s). ${history.failed.length} couldn't be read.${history.done ? '' : ` Unfinished: run again with startOffset ${history.nextOffset}.`}`);
+  return history;
+}
+
+/**
+ * Returns the equipment type enum.
+ * @returns {object} The EquipmentType enum.
+ */
+function getEquipmentTypeEnum() {
+  return EquipmentType;
+}
+
+/**
+ * Flattens a unit of the equipment registry, or an entry of getEquipmentForManifest()
+ * ({ equipment, equipment_type }), into the same shape.
+ *
+ * @param {object} entry The unit or manifest equipment entry.
+ * @returns {object} { id, name, type, status, plate, plateState, vin, make, model, year, currentManifestId, raw }.
+ * @private
+ */
+function normalizeEquipment_(entry) {
+  const unit = (entry && entry.equipment) || entry || {};
+  const type = (entry && entry.equipment_type) || unit.equipment_type || unit.type || null;
+  return {
+    id: unit.id || (entry && entry.equipment_id) || null,
+    name: unit.name || null,
+    type: type && typeof type === 'object' ? type.name || null : type,
+    status: unit.status || null,
+    plate: unit.license_plate || unit.plate_number || null,
+    plateState: unit.license_plate_state || unit.plate_state || null,
+    vin: unit.vin || null,
+    make: unit.make || null,
+    model: unit.model || null,
+    year: unit.year || null,
+    currentManifestId: unit.current_manifest_id || (unit.current_manifest && unit.current_manifest.id) || null,
+    raw: entry,
+  };
+}
+
+/**
+ * @param {object} unit A unit (see normalizeEquipment_()).
+ * @param {string} type The equipment type name.
+ * @returns {boolean} True if the unit is of that type (case-insensitive).
+ * @private
+ */
+function isEquipmentType_(unit, type) {
+  return String(unit.type || '').toLowerCase() === String(type || '').toLowerCase();
+}
+
+
+/**
+ * Example usage of the equipment registry.
+ */
+function testEquipmentRegistry() {
+  const instanceName = Instance.AMADO;
+  const manifestId = 'fe8bcd3b-1f64-487b-8d50-6845ffc94fd9'; // Replace with a *real* manifest ID
+
+  const trailers = listEquipment(instanceName, { type: EquipmentType.TRAILER, maxItems: 100 });
+  Logger.log(`Trailers: ${trailers ? trailers.map(unit => unit.name).join(', ') : 'error'}`);
+
+  const chassis = getEquipmentOfTypeForManifest(instanceName, manifestId, EquipmentType.CHASSIS);
+  if (chassis && chassis.length > 0) {
+    Logger.log(JSON.stringify(getEquipmentDetails(instanceName, chassis[0].id), null, 2));
+    const history = findManifestsForEquipment(instanceName, chassis[0].id, new Date(Date.now() - 30 * 24 * 3600 * 1000), new Date());
+    Logger.log(`Manifests of ${chassis[0].name} in the last 30 days: ${history ? history.manifests.map(m => m.publicId).join(', ') : 'error'}`);
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Error hierarchy for the Rose Rocket library.
+ *
+ * Every failed RoseRocketClient call produces one of these errors in `result.error`.
+ * By default the public functions keep their historic behavior (log and return null),
+ * but callers can opt in to a throwing mode to tell "order doesn't exist" from
+ * "Rose Rocket is down":
+ * ```
+ * setErrorMode(ErrorMode.THROW);
+ * try {
+ *   const order = getOrderByOrderId(Instance.AMADO, orderId);
+ * } catch (e) {
+ *   if (e.name === RoseRocketErrorType.NOT_FOUND) { ... }
+ * }
+ * ```
+ * The mode can also be set per instance with 'ERROR_MODE' in the instance configuration.
+ *
+ * Library consumers can't use `instanceof` on these classes (Apps Script libraries only
+ * expose functions), so compare `error.name` with the RoseRocketErrorType enum instead.
+ */
+
+// --- Error type enum (values are the `name` of each error class) ---
+const RoseRocketErrorType = {
+  BASE: 'RoseRocketError',
+  NOT_FOUND: 'NotFoundError',
+  UNAUTHORIZED: 'UnauthorizedError',
+  VALIDATION: 'ValidationError',
+  RATE_LIMITED: 'RateLimitedError',
+  SERVER: 'ServerError',
+  NETWORK: 'NetworkError',
+  CONFIG: 'ConfigError',
+  AMBIGUOUS: 'AmbiguousResultError',
+};
+
+// --- Error mode enum ---
+const ErrorMode = {
+  RETURN_NULL: 'null',   // Log the error and return null (backwards compatible default)
+  THROW: 'throw',        // Throw the typed error
+};
+
+// Error mode set for the current execution with setErrorMode(). null means "not set".
+let CURRENT_ERROR_MODE = null;
+
+
+/**
+ * Base class for all the errors raised by the library.
+ */
+class RoseRocketError extends Error {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details]
+   * @param {number|null} [details.statusCode] The HTTP status code, if any.
+   * @param {string|null} [details.endpoint] The URL that was called.
+   * @param {string|null} [details.method] The HTTP method.
+   * @param {string|null} [details.instance] The Rose Rocket instance name.
+   * @param {string|null} [details.responseBody] The raw response body.
+   * @constructor
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = RoseRocketErrorType.BASE;
+    this.statusCode = details.statusCode || null;
+    this.endpoint = details.endpoint || null;
+    this.method = details.method || null;
+    this.instance = details.instance || null;
+    this.responseBody = details.responseBody || null;
+  }
+
+  /**
+   * @returns {object} A plain object with the error details (useful for logging or sheets).
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      statusCode: this.statusCode,
+      endpoint: this.endpoint,
+      method: this.method,
+      instance: this.instance,
+      responseBody: this.responseBody,
+    };
+  }
+}
+
+/** The resource doesn't exist (404). */
+class NotFoundError extends RoseRocketError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.NOT_FOUND;
+  }
+}
+
+/** The credentials or the access token were rejected (401/403), or no token could be obtained. */
+class UnauthorizedError extends RoseRocketError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.UNAUTHORIZED;
+  }
+}
+
+/** The request was rejected as invalid (400/422). `fieldErrors` lists the offending fields. */
+class ValidationError extends RoseRocketError {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details] See RoseRocketError, plus:
+   * @param {Array<{field: string, message: string}>} [details.fieldErrors] Per-field problems.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.VALIDATION;
+    this.fieldErrors = details.fieldErrors || [];
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { fieldErrors: this.fieldErrors });
+  }
+}
+
+/** Rose Rocket throttled the request (429). `retryAfterMs` comes from the Retry-After header. */
+class RateLimitedError extends RoseRocketError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.RATE_LIMITED;
+    this.retryAfterMs = details.retryAfterMs === undefined ? null : details.retryAfterMs;
+  }
+}
+
+/** Rose Rocket failed to process the request (5xx), or returned a body that isn't valid JSON. */
+class ServerError extends RoseRocketError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.SERVER;
+  }
+}
+
+/** The request never got a response (DNS, timeout, connection reset...). */
+class NetworkError extends RoseRocketError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.NETWORK;
+  }
+}
+
+/** The instance configuration is missing or invalid, or the call was made with bad arguments. */
+class ConfigError extends RoseRocketError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.CONFIG;
+  }
+}
+
+/** A lookup expected a single result and found several. `candidates` lists them. */
+class AmbiguousResultError extends RoseRocketError {
+  /**
+   * @param {string} message The error message.
+   * @param {object} [details] See RoseRocketError, plus:
+   * @param {Array<object>} [details.candidates] The matching results (e.g., { id, public_id, status }).
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = RoseRocketErrorType.AMBIGUOUS;
+    this.candidates = details.candidates || [];
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { candidates: this.candidates });
+  }
+}
+
+
+/**
+ * Builds the typed error for a failed HTTP response.
+ *
+ * @param {string} message The error message.
+ * @param {object} result The RoseRocketClient result (status, body, data, headers, url, method, instanceName).
+ * @returns {RoseRocketError} The error matching the status code.
+ */
+function createErrorFromResponse(message, result) {
+  const details = {
+    statusCode: result.status,
+    endpoint: result.url,
+    method: result.method,
+    instance: result.instanceName,
+    responseBody: result.body,
+  };
+  const status = result.status;
+
+  if (status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (status === 401 || status === 403) {
+    return new UnauthorizedError(message, details);
+  }
+  if (status === 400 || status === 422) {
+    details.fieldErrors = extractFieldErrors(result.body);
+    return new ValidationError(message, details);
+  }
+  if (status === 429) {
+    details.retryAfterMs = parseRetryAfterMs(result.headers);
+    return new RateLimitedError(message, details);
+  }
+  if (status >= 500 || (status >= 200 && status < 300)) {
+    return new ServerError(message, details);
+  }
+  return new RoseRocketError(message, details);
+}
+
+/**
+ * Extracts per-field problems from a Rose Rocket error body.
+ * Handles the shapes seen in the API: { errors: { field: message } },
+ * { errors: [{ field, message }] } and { error: { fields: {...} } }.
+ *
+ * @param {string|object} body The raw response body or the parsed object.
+ * @returns {Array<{field: string, message: string}>} The field errors (empty if none are found).
+ */
+function extractFieldErrors(body) {
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  const source = data.errors || data.fields || (data.error && (data.error.fields || data.error.errors)) || null;
+  if (!source) {
+    return [];
+  }
+
+  if (Array.isArray(source)) {
+    return source.map(item => ({
+      field: item.field || item.name || item.path || '',
+      message: item.message || item.error || JSON.stringify(item),
+    }));
+  }
+
+  const fieldErrors = [];
+  for (const field in source) {
+    if (source.hasOwnProperty(field)) {
+      const value = source[field];
+      fieldErrors.push({ field: field, message: Array.isArray(value) ? value.join(', ') : String(value) });
+    }
+  }
+  return fieldErrors;
+}
+
+
+/**
+ * Sets the error mode for the rest of the current execution.
+ *
+ * @param {string|null} mode ErrorMode.THROW, ErrorMode.RETURN_NULL, or null to go back
+ *   to the instance configuration / default.
+ */
+function setErrorMode(mode) {
+  if (mode !== null && Object.values(ErrorMode).indexOf(mode) === -1) {
+    throw new ConfigError(`Invalid error mode: ${mode}. Use one of: ${Object.values(ErrorMode).join(', ')}`);
+  }
+  CURRENT_ERROR_MODE = mode;
+}
+
+/**
+ * Resolves the error mode for an instance: the mode set with setErrorMode(),
+ * then the 'ERROR_MODE' of the instance configuration, then ErrorMode.RETURN_NULL.
+ *
+ * @param {string} [instanceName] The name of the Rose Rocket instance.
+ * @returns {string} The effective ErrorMode.
+ */
+function getErrorMode(instanceName) {
+  if (CURRENT_ERROR_MODE) {
+    return CURRENT_ERROR_MODE;
+  }
+  const config = instanceName && instanceManager.isValidInstance(instanceName) ? instanceManager.getConfig(instanceName) : null;
+  if (config && Object.values(ErrorMode).indexOf(config.ERROR_MODE) !== -1) {
+    return config.ERROR_MODE;
+  }
+  return ErrorMode.RETURN_NULL;
+}
+
+/**
+ * Logs an error and either throws it (throwing mode) or returns the fallback value.
+ * Use it for failures detected outside RoseRocketClient (bad arguments, unexpected data).
+ *
+ * @param {RoseRocketError} error The error to report.
+ * @param {*} [fallbackValue=null] The value returned when not in throwing mode.
+ * @returns {*} The fallback value.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW.
+ */
+function reportRoseRocketError(error, fallbackValue = null) {
+  Logger.log(error.message);
+  if (getErrorMode(error.instance) === ErrorMode.THROW) {
+    throw error;
+  }
+  return fallbackValue;
+}
+
+/**
+ * Returns the error type enum, so library consumers can compare `error.name`.
+ * @returns {object} The RoseRocketErrorType enum.
+ */
+function getRoseRocketErrorTypes() {
+  return RoseRocketErrorType;
+}
+
+/**
+ * Returns the error mode enum.
+ * @returns {object} The ErrorMode enum.
+ */
+function getErrorModeEnum() {
+  return ErrorMode;
+}
+
+
+/**
+ * Example usage of the throwing mode.
+ */
+function testErrorMode() {
+  setErrorMode(ErrorMode.THROW);
+  try {
+    getOrderByOrderId(Instance.AMADO, 'INVALID_ORDER_ID');
+    Logger.log('Test FAILED: Expected a NotFoundError.');
+  } catch (e) {
+    Logger.log(`Caught ${e.name} (status ${e.statusCode}) from ${e.endpoint}: ${e.message}`);
+    Logger.log(`Test ${e.name === RoseRocketErrorType.NOT_FOUND ? 'PASSED' : 'FAILED'}`);
+  } finally {
+    setErrorMode(null);
+  }
+}
@@ -1,21 +1,145 @@
-let ACCESS_TOKEN = {}; // Store access tokens per instance and their expiry
+let ACCESS_TOKEN = {}; // In-memory copy of the tokens per instance for the current execution
 
 const RR_TOKEN_ENDPOINT = 'https://auth.roserocket.com/oauth2/token';
 const A_TOKEN_ENDPOINT = RR_TOKEN_ENDPOINT; //Unused, remove it
 
+// Tokens are considered expired this long before their real expiry, so a call
+// started right before the deadline doesn't go out with a dead token.
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_LOCK_TIMEOUT_MS = 30000;
+const TOKEN_CACHE_MAX_SECONDS = 21600; // CacheService maximum (6 hours)
+
+/**
+ * Returns a valid access token for an instance.
+ *
+ * Tokens are persisted across executions so triggers and library consumers don't
+ * re-authenticate on every run:
+ * 1. In memory (ACCESS_TOKEN) for the current execution.
+ * 2. In the script cache (CacheService), shared by all executions.
+ * 3. In Script Properties (PropertiesService), in case the cache entry was evicted.
+ * When none is valid, a new token is requested under the script lock (LockService),
+ * re-checking the shared storage first so parallel triggers don't all hit the token endpoint.
+ * The refresh_token grant is used when Rose Rocket returned a refresh token; the password
+ * grant is only used when there is none or the refresh fails.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance (e.g., Instance.AMADO).
+ * @returns {string|null} The access token, or null on error.
+ */
 function getAccessTokenForInstance(instanceName) {
 
-    //const { USERNAME, PASSWORD, CLIENT_ID, CLIENT_SECRET } = INSTANCES[instanceName]; // Use instanceName
-    const { USERNAME, PASSWORD, CLIENT_ID, CLIENT_SECRET } = instanceManager.getConfig(instanceName);
+    const config = instanceManager.getConfig(instanceName);
+    if (!config) {
+        Logger.log(`Error getting access token: no configuration for ${instanceName}.`);
+        return null;
+    }
 
     // Check if a token exists and is still valid
-    if (ACCESS_TOKEN[instanceName] && ACCESS_TOKEN[instanceName].token && ACCESS_TOKEN[instanceName].expires_at > Date.now()) {
+    const storedToken = readStoredAccessToken_(instanceName);
+    if (storedToken) {
         Logger.log(`Returning cached access token for ${instanceName}.`);
-        return ACCESS_TOKEN[instanceName].token;
+        return storedToken.token;
+    }
+
+    const lock = LockService.getScriptLock();
+    let hasLock = false;
+    try {
+        lock.waitLock(TOKEN_LOCK_TIMEOUT_MS);
+        hasLock = true;
+    } catch (lockError) {
+        Logger.log(`Could not acquire token lock for ${instanceName}: ${lockError}. Requesting a token without it.`);
+    }
+
+    try {
+        // Another execution may have refreshed the token while we waited for the lock
+        const refreshedToken = readStoredAccessToken_(instanceName);
+        if (refreshedToken) {
+            Logger.log(`Returning access token refreshed by another execution for ${instanceName}.`);
+            return refreshedToken.token;
+        }
+
+        // Prefer the refresh token when Rose Rocket gave us one; fall back to the password grant
+        const refreshToken = readStoredRefreshToken_(instanceName);
+        if (refreshToken) {
+            const refreshedAccessToken = requestAccessToken_(instanceName, config, refreshToken);
+            if (refreshedAccessToken) {
+                return refreshedAccessToken;
+            }
+            Logger.log(`Refresh token rejected for ${instanceName}. Falling back to password grant.`);
+            PropertiesService.getScriptProperties().deleteProperty(getRefreshTokenStorageKey_(instanceName));
+        }
+
+        return requestAccessToken_(instanceName, config);
+    } finally {
+        if (hasLock) {
+            lock.releaseLock();
+        }
     }
+}
+
+/**
+ * Forgets the stored token of an instance (memory, cache and Script Properties),
+ * so the next getAccessTokenForInstance() call authenticates again.
+ * RoseRocketClient calls it when the API answers 401.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ */
+function invalidateAccessToken(instanceName) {
+    const key = getTokenStorageKey_(instanceName);
+    delete ACCESS_TOKEN[instanceName];
+    CacheService.getScriptCache().remove(key);
+    PropertiesService.getScriptProperties().deleteProperty(key);
+    Logger.log(`Invalidated stored access token for ${instanceName}.`);
+}
 
-    const payload = {
-        grant_type: 'password',
+/**
+ * Forces a new access token for an instance, e.g. after rotating credentials.
+ * Uses the refresh token if there is one, then the password grant.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @returns {string|null} The new access token, or null on error.
+ */
+function forceRefreshToken(instanceName) {
+    invalidateAccessToken(instanceName);
+    return getAccessTokenForInstance(instanceName);
+}
+
+/**
+ * Forgets the stored tokens of an instance: the access token and the refresh token, so
+ * the next call authenticates with the password grant (with the current USERNAME/PASSWORD
+ * of the instance configuration). Use it after rotating credentials.
+ *
+ * Only the copies kept by this library are deleted: the tokens are NOT revoked on the
+ * server and stay valid until they expire. If a token may have leaked, also change the
+ * password (or client secret) of the API user in Rose Rocket.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ */
+function revokeToken(instanceName) {
+    invalidateAccessToken(instanceName);
+    PropertiesService.getScriptProperties().deleteProperty(getRefreshTokenStorageKey_(instanceName));
+    Logger.log(`Revoked stored refresh token for ${instanceName}.`);
+}
+
+/**
+ * Requests a new token and stores it (with its refresh token, if the response has one).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} config The instance configuration (USERNAME, PASSWORD, CLIENT_ID, CLIENT_SECRET).
+ * @param {string} [refreshToken] Use the refresh_token grant with this token instead of the password grant.
+ * @returns {string|null} The access token, or null on error.
+ * @private
+ */
+function requestAccessToken_(instanceName, config, refreshToken) {
+    const { USERNAME, PASSWORD, CLIENT_ID, CLIENT_SECRET } = config;
+    const grantType = refreshToken ? 'refresh_token' : 'password';
+
+    const payload = refreshToken ? {
+        grant_type: grantType,
+        refresh_token: refreshToken,
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+    } : {
+        grant_type: grantType,
         username: USERNAME,
         password: PASSWORD,
         client_id: CLIENT_ID,
@@ -49,17 +173,24 @@ function getAccessTokenForInstance(instanceName) {
             // Calculate expiry timestamp
             const expiresAt = Date.now() + (expiresIn * 1000);  // Convert seconds to milliseconds
 
-            // Store the token and expiry. Use instanceName as the key.
-            ACCESS_TOKEN[instanceName] = { 
+            storeAccessToken_(instanceName, {
                 token: accessToken,
                 expires_at: expiresAt,
-            };
+                token_type: jsonResponse.data.token_type || null,
+                scope: jsonResponse.data.scope || null,
+                grant_type: grantType,
+            });
+
+            // Keep the refresh token for the next renewal (Rose Rocket may rotate it)
+            if (jsonResponse.data.refresh_token) {
+                PropertiesService.getScriptProperties().setProperty(getRefreshTokenStorageKey_(instanceName), jsonResponse.data.refresh_token);
+            }
 
-            Logger.log(`Successfully obtained new access token for ${instanceName}. Expires at: ${new Date(expiresAt)}`);
+            Logger.log(`Successfully obtained new access token for ${instanceName} (${grantType} grant). Expires at: ${new Date(expiresAt)}`);
 
             return accessToken;
         } else {
-            Logger.log(`Error getting access token for ${instanceName}. Response Code: ${responseCode}`);
+            Logger.log(`Error getting access token for ${instanceName} (${grantType} grant). Response Code: ${responseCode}`);
             Logger.log(response.getContentText());
             return null;
         }
@@ -69,3 +200,96 @@ function getAccessTokenForInstance(instanceName) {
     }
 }
 
+/**
+ * Reads the stored token of an instance, checking memory, then the script cache,
+ * then Script Properties.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @returns {object|null} The stored token ({ token, expires_at }) if it is still valid
+ *   (taking TOKEN_EXPIRY_MARGIN_MS into account), or null.
+ * @private
+ */
+function readStoredAccessToken_(instanceName) {
+    if (isAccessTokenValid_(ACCESS_TOKEN[instanceName])) {
+        return ACCESS_TOKEN[instanceName];
+    }
+
+    const key = getTokenStorageKey_(instanceName);
+    const sources = [
+        () => CacheService.getScriptCache().get(key),
+        () => PropertiesService.getScriptProperties().getProperty(key),
+    ];
+
+    for (const readSource of sources) {
+        const raw = readSource();
+        if (!raw) {
+            continue;
+        }
+        try {
+            const storedToken = JSON.parse(raw);
+            if (isAccessTokenValid_(storedToken)) {
+                ACCESS_TOKEN[instanceName] = storedToken;
+                return storedToken;
+            }
+        } catch (e) {
+            Logger.log(`Ignoring unreadable stored token for ${instanceName}: ${e}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Stores a token in memory, in the script cache and in Script Properties.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} storedToken The token to store ({ token, expires_at, ... }).
+ * @private
+ */
+function storeAccessToken_(instanceName, storedToken) {
+    const key = getTokenStorageKey_(instanceName);
+    const value = JSON.stringify(storedToken);
+
+    ACCESS_TOKEN[instanceName] = storedToken;
+
+    const ttlSeconds = Math.floor((storedToken.expires_at - TOKEN_EXPIRY_MARGIN_MS - Date.now()) / 1000);
+    if (ttlSeconds > 0) {
+        CacheService.getScriptCache().put(key, value, Math.min(ttlSeconds, TOKEN_CACHE_MAX_SECONDS));
+    }
+    PropertiesService.getScriptProperties().setProperty(key, value);
+}
+
+/**
+ * @param {object} storedToken The stored token ({ token, expires_at }).
+ * @returns {boolean} True if the token exists and doesn't expire within the safety margin.
+ * @private
+ */
+function isAccessTokenValid_(storedToken) {
+    return !!(storedToken && storedToken.token && storedToken.expires_at - TOKEN_EXPIRY_MARGIN_MS > Date.now());
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @returns {string} The cache / Script Properties key of the instance token.
+ * @private
+ */
+function getTokenStorageKey_(instanceName) {
+    return `${RESERVED_PROPERTY_PREFIX}TOKEN_${instanceName}`;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @returns {string|null} The stored refresh token, or null if there is none.
+ * @private
+ */
+function readStoredRefreshToken_(instanceName) {
+    return PropertiesService.getScriptProperties().getProperty(getRefreshTokenStorageKey_(instanceName));
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @returns {string} The Script Properties key of the instance refresh token.
+ * @private
+ */
+function getRefreshTokenStorageKey_(instanceName) {
+    return `${RESERVED_PROPERTY_PREFIX}REFRESH_TOKEN_${instanceName}`;
+}
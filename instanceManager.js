@@ -1,3 +1,7 @@
+// Script Properties whose key starts with this prefix hold library state
+// (tokens, checkpoints, ...) and are not instance configurations.
+const RESERVED_PROPERTY_PREFIX = 'RR__';
+
 /**
  * InstanceManager class for managing Rose Rocket instance configurations.
  *
@@ -35,7 +39,7 @@ class InstanceManager {
     this.instances = {};
 
     for (const instanceName in allProperties) {
-      if (allProperties.hasOwnProperty(instanceName)) {
+      if (allProperties.hasOwnProperty(instanceName) && instanceName.indexOf(RESERVED_PROPERTY_PREFIX) !== 0) {
         try {
           this.instances[instanceName] = JSON.parse(allProperties[instanceName]);
         } catch (e) {
@@ -123,6 +127,65 @@ class InstanceManager {
            && allConfigs.hasOwnProperty(instanceName);
   }
 
+  /**
+   * Retrieves the retry policy overrides for a specific instance.
+   * Reads the optional 'RETRY_POLICY' object of the instance configuration
+   * (see DEFAULT_RETRY_POLICY in retryPolicy.js for the available keys).
+   *
+   * @param {string} instanceName The name of the instance (e.g., Instance.AMADO).
+   * @returns {object|null} The retry policy overrides, or null if none are configured.
+   */
+  getRetryPolicy(instanceName) {
+    const allConfigs = this.getAllConfigs();
+    const config = allConfigs && allConfigs.hasOwnProperty(instanceName) ? allConfigs[instanceName] : null;
+    if (!config || !config.RETRY_POLICY || typeof config.RETRY_POLICY !== 'object') {
+      return null;
+    }
+    return config.RETRY_POLICY;
+  }
+
+  /**
+   * Retrieves the rate limit for a specific instance.
+   * Reads the optional 'RATE_LIMIT' value of the instance configuration
+   * (see DEFAULT_RATE_LIMIT in rateLimiter.js for the available keys).
+   *
+   * @param {string} instanceName The name of the instance (e.g., Instance.AMADO).
+   * @returns {object|boolean|null} The rate limit overrides, false if rate limiting is
+   *                                disabled for the instance, or null if none are configured.
+   */
+  getRateLimit(instanceName) {
+    const allConfigs = this.getAllConfigs();
+    const config = allConfigs && allConfigs.hasOwnProperty(instanceName) ? allConfigs[instanceName] : null;
+    if (!config || !config.hasOwnProperty('RATE_LIMIT')) {
+      return null;
+    }
+    if (config.RATE_LIMIT === false) {
+      return false;
+    }
+    return typeof config.RATE_LIMIT === 'object' ? config.RATE_LIMIT : null;
+  }
+
+  /**
+   * Merges changes into the configuration of a single instance and saves it
+   * to Script Properties (e.g., updateConfig('Amado', { RETRY_POLICY: { maxAttempts: 5 } })).
+   *
+   * @param {string} instanceName The name of the instance (e.g., Instance.AMADO).
+   * @param {object} changes The keys to add or overwrite in the instance configuration.
+   * @returns {object|null} The updated configuration, or null if the instance doesn't exist.
+   */
+  updateConfig(instanceName, changes) {
+    const config = this.getConfig(instanceName);
+    if (!config) {
+      return null;
+    }
+
+    const updatedConfig = Object.assign({}, config, changes);
+    PropertiesService.getScriptProperties().setProperty(instanceName, JSON.stringify(updatedConfig));
+    this.instances[instanceName] = updatedConfig;
+    Logger.log(`Updated config for: ${instanceName}`);
+    return updatedConfig;
+  }
+
   /**
    * Sets up (or overwrites) the instance configurations in Script Properties.
    *  IMPORTANT: Use this function *only* for initialization or updates.
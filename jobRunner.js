@@ -0,0 +1,427 @@
+/**
+ * JobRunner class: runs long operations in slices that fit in the Apps Script
+ * execution limit (6 minutes) and resumes them unattended.
+ *
+ * A job is a step function called repeatedly with a checkpoint. Between steps the runner
+ * saves the checkpoint in Script Properties; when the time budget runs out it schedules a
+ * time-based trigger on `continuationFunction`, which must call the same runJob() again.
+ * A run that fails (the step function throws) is retried the same way, up to `maxFailures`
+ * times in a row. The job ends when the step function returns true.
+ *
+ * Each run also schedules a watchdog trigger before doing any work, for when the lease
+ * expires: if the execution is killed (e.g., a step runs past the 6-minute limit), the
+ * watchdog resumes the job and the killed run counts as a failure. The lease check and the
+ * claim run under the script lock, so overlapping triggers can't run the same job twice.
+ *
+ * Only the triggers created by the runner are deleted (their ID is kept in the checkpoint), so
+ * the continuation function can also have its own recurring trigger.
+ *
+ * ```
+ * // In the script that owns the trigger:
+ * function syncDeliveredOrders() {
+ *   runOrderJob('syncDelivered', Instance.AMADO, 'in_status_ids=delivered', order => {
+ *     const legs = getOrderLegsByOrderId(Instance.AMADO, order.id);
+ *     // ... write to a sheet
+ *   }, { continuationFunction: 'syncDeliveredOrders' });
+ * }
+ * ```
+ *
+ * Checkpoint fields the step function may use: `cursor` (any JSON value), `offset` (number),
+ * `processedIds` (IDs done within the current slice of work) and `data` (free-form object).
+ * Keep them small: a Script Property holds at most 9 KB.
+ */
+const DEFAULT_JOB_OPTIONS = {
+  maxRuntimeMs: 4.5 * 60 * 1000,       // Stop starting new steps after this long (limit is 6 minutes)
+  continuationDelayMs: 60 * 1000,      // Delay of the continuation trigger
+  leaseMs: 6 * 60 * 1000,              // A 'running' job older than this is considered dead
+  maxFailures: 3,                      // Failed runs in a row retried by a continuation trigger
+  lockTimeoutMs: 30000,                // Longest to wait for the script lock to claim the job
+};
+
+// --- Job status enum ---
+const JobStatus = {
+  RUNNING: 'running',
+  SCHEDULED: 'scheduled',   // Waiting for the continuation trigger
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+class JobRunner {
+  /**
+   * Runs (or resumes) a job until it completes or the time budget runs out.
+   *
+   * @param {string} jobName Unique name of the job (used as the checkpoint key).
+   * @param {function(object, object): boolean} stepFn Called with (checkpoint, context) until it
+   *   returns true. `context` has hasTimeLeft(), isProcessed(id), markProcessed(id) and save().
+   * @param {object} [options]
+   * @param {string} [options.continuationFunction] Name of the global function the continuation
+   *   trigger calls. Without it, an unfinished job stays 'scheduled' until run again manually.
+   * @param {number} [options.maxRuntimeMs] Time budget for this execution (see DEFAULT_JOB_OPTIONS).
+   * @param {number} [options.continuationDelayMs] Delay of the continuation trigger.
+   * @param {number} [options.maxFailures] Failed runs in a row that are retried (see DEFAULT_JOB_OPTIONS).
+   * @param {boolean} [options.restart=false] Discard the saved checkpoint and start over.
+   * @param {function(object): void} [options.onComplete] Called with the checkpoint when the job completes.
+   * @returns {object} The checkpoint after this execution (see getStatus()).
+   */
+  run(jobName, stepFn, options = {}) {
+    const settings = Object.assign({}, DEFAULT_JOB_OPTIONS, options);
+    const startedAt = Date.now();
+
+    if (settings.restart) {
+      this.reset(jobName);
+    }
+
+    const claim = this.claim_(jobName, settings, startedAt);
+    if (!claim.claimed) {
+      return claim.checkpoint; // Already completed or running elsewhere
+    }
+    const checkpoint = claim.checkpoint;
+    Logger.log(`JobRunner: Starting run ${checkpoint.runs} of job ${jobName} (offset ${checkpoint.offset}, ${checkpoint.processedCount} processed so far).`);
+
+    const context = {
+      hasTimeLeft: () => Date.now() - startedAt < settings.maxRuntimeMs,
+      isProcessed: id => checkpoint.processedIds.indexOf(id) !== -1,
+      markProcessed: id => {
+        checkpoint.processedIds.push(id);
+        checkpoint.processedCount++;
+      },
+      save: () => this.saveCheckpoint_(checkpoint),
+    };
+
+    try {
+      let done = false;
+      while (!done && context.hasTimeLeft()) {
+        done = stepFn(checkpoint, context) === true;
+        checkpoint.failures = 0;
+        this.saveCheckpoint_(checkpoint);
+      }
+
+      if (done) {
+        this.deleteContinuationTrigger_(checkpoint); // The watchdog
+        checkpoint.status = JobStatus.COMPLETED;
+        checkpoint.completedAt = Date.now();
+        this.saveCheckpoint_(checkpoint);
+        Logger.log(`JobRunner: Job ${jobName} completed in ${checkpoint.runs} run(s). Processed: ${checkpoint.processedCount}.`);
+        if (settings.onComplete) {
+          settings.onComplete(checkpoint);
+        }
+        return checkpoint;
+      }
+
+      checkpoint.status = JobStatus.SCHEDULED;
+      this.scheduleContinuation_(checkpoint, settings.continuationFunction, settings.continuationDelayMs);
+      this.saveCheckpoint_(checkpoint);
+      return checkpoint;
+    } catch (error) {
+      checkpoint.status = JobStatus.FAILED;
+      checkpoint.lastError = error.message || String(error);
+      checkpoint.failures = (checkpoint.failures || 0) + 1;
+      Logger.log(`JobRunner: Job ${jobName} failed (${checkpoint.failures} time(s) in a row): ${checkpoint.lastError}`);
+      if (checkpoint.failures <= settings.maxFailures) {
+        this.scheduleContinuation_(checkpoint, settings.continuationFunction, settings.continuationDelayMs);
+      } else {
+        this.deleteContinuationTrigger_(checkpoint); // The watchdog
+        Logger.log(`JobRunner: Job ${jobName} is not retried after ${settings.maxFailures} failure(s) in a row. Run it again to resume from the last checkpoint.`);
+      }
+      this.saveCheckpoint_(checkpoint);
+      return checkpoint;
+    }
+  }
+
+  /**
+   * Returns the saved checkpoint of a job, with its progress and status.
+   *
+   * @param {string} jobName The name of the job.
+   * @returns {object|null} { jobName, status, cursor, offset, processedIds, processedCount, data,
+   *   runs, failures, continuationTriggerId, startedAt, updatedAt, completedAt, lastError }, or null
+   *   if the job has never run.
+   */
+  getStatus(jobName) {
+    const raw = PropertiesService.getScriptProperties().getProperty(this.getStorageKey_(jobName));
+    if (!raw) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      Logger.log(`JobRunner: Ignoring unreadable checkpoint for ${jobName}: ${e}`);
+      return null;
+    }
+  }
+
+  /**
+   * Deletes the checkpoint of a job (and its pending continuation trigger), so it starts over.
+   *
+   * @param {string} jobName The name of the job.
+   */
+  reset(jobName) {
+    const checkpoint = this.getStatus(jobName);
+    if (checkpoint) {
+      this.deleteContinuationTrigger_(checkpoint);
+    }
+    PropertiesService.getScriptProperties().deleteProperty(this.getStorageKey_(jobName));
+    Logger.log(`JobRunner: Reset job ${jobName}.`);
+  }
+
+  /**
+   * Claims a job for this execution under the script lock: checks it isn't completed or
+   * running elsewhere, replaces the trigger that started this run with a watchdog trigger
+   * (when the lease expires) and saves the job as running with a new lease.
+   *
+   * @param {string} jobName The name of the job.
+   * @param {object} settings The run options (see run()).
+   * @param {number} startedAt Start of this run (ms).
+   * @returns {object} { checkpoint, claimed }: claimed is false if the job must not run now.
+   * @private
+   */
+  claim_(jobName, settings, startedAt) {
+    const lock = LockService.getScriptLock();
+    try {
+      lock.waitLock(settings.lockTimeoutMs);
+    } catch (lockError) {
+      Logger.log(`JobRunner: Could not acquire lock to start job ${jobName}: ${lockError}. Skipping.`);
+      return { checkpoint: this.getStatus(jobName) || this.createCheckpoint_(jobName), claimed: false };
+    }
+
+    try {
+      const checkpoint = this.getStatus(jobName) || this.createCheckpoint_(jobName);
+      if (checkpoint.status === JobStatus.COMPLETED) {
+        Logger.log(`JobRunner: Job ${jobName} already completed at ${new Date(checkpoint.completedAt)}. Use restart to run it again.`);
+        return { checkpoint: checkpoint, claimed: false };
+      }
+      if (checkpoint.status === JobStatus.RUNNING && checkpoint.leaseUntil > startedAt) {
+        Logger.log(`JobRunner: Job ${jobName} is already running in another execution. Skipping.`);
+        return { checkpoint: checkpoint, claimed: false };
+      }
+      if (checkpoint.status === JobStatus.RUNNING && checkpoint.runs > 0) {
+        // The last run never saved its end: the execution was killed (e.g., the 6-minute limit)
+        checkpoint.failures = (checkpoint.failures || 0) + 1;
+        checkpoint.lastError = `Run ${checkpoint.runs} was stopped before finishing (execution time limit?).`;
+        Logger.log(`JobRunner: Job ${jobName}: ${checkpoint.lastError} (${checkpoint.failures} failure(s) in a row)`);
+      } else {
+        checkpoint.lastError = null;
+      }
+
+      // The trigger that started this run (if any) has fired; the watchdog replaces it
+      this.deleteContinuationTrigger_(checkpoint);
+      checkpoint.status = JobStatus.RUNNING;
+      checkpoint.runs++;
+      checkpoint.leaseUntil = startedAt + settings.leaseMs;
+      if (checkpoint.failures <= settings.maxFailures) {
+        this.scheduleWatchdog_(checkpoint, settings.continuationFunction, settings.leaseMs + settings.continuationDelayMs);
+      } else {
+        Logger.log(`JobRunner: Job ${jobName} gets no watchdog after ${settings.maxFailures} failure(s) in a row.`);
+      }
+      this.saveCheckpoint_(checkpoint);
+      return { checkpoint: checkpoint, claimed: true };
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * @param {string} jobName The name of the job.
+   * @returns {object} A new checkpoint.
+   * @private
+   */
+  createCheckpoint_(jobName) {
+    return {
+      jobName: jobName,
+      status: JobStatus.RUNNING,
+      cursor: null,
+      offset: 0,
+      processedIds: [],
+      processedCount: 0,
+      data: {},
+      runs: 0,
+      failures: 0,
+      continuationTriggerId: null,
+      leaseUntil: 0,
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      completedAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * @param {object} checkpoint The checkpoint to save.
+   * @private
+   */
+  saveCheckpoint_(checkpoint) {
+    checkpoint.updatedAt = Date.now();
+    PropertiesService.getScriptProperties().setProperty(this.getStorageKey_(checkpoint.jobName), JSON.stringify(checkpoint));
+  }
+
+  /**
+   * Schedules a one-off trigger on the continuation function, replacing the pending one of
+   * the job. The trigger ID is kept in the checkpoint (the caller saves it).
+   *
+   * @param {object} checkpoint The job checkpoint.
+   * @param {string} [continuationFunction] The handler function name.
+   * @param {number} delayMs The delay of the trigger.
+   * @private
+   */
+  scheduleContinuation_(checkpoint, continuationFunction, delayMs) {
+    if (!continuationFunction) {
+      Logger.log(`JobRunner: Job ${checkpoint.jobName} stopped before completing. No continuationFunction given; run it again to resume.`);
+      return;
+    }
+    this.deleteContinuationTrigger_(checkpoint);
+    const trigger = ScriptApp.newTrigger(continuationFunction).timeBased().after(delayMs).create();
+    checkpoint.continuationTriggerId = trigger.getUniqueId();
+    Logger.log(`JobRunner: Job ${checkpoint.jobName} stopped before completing. Scheduled ${continuationFunction} in ${Math.round(delayMs / 1000)} s.`);
+  }
+
+  /**
+   * Schedules the watchdog trigger of a run: the continuation function, called once the
+   * lease has expired, in case the execution is killed before scheduling its continuation.
+   * A run that ends normally replaces it (continuation) or deletes it (completed).
+   *
+   * @param {object} checkpoint The job checkpoint.
+   * @param {string} [continuationFunction] The handler function name.
+   * @param {number} delayMs The delay of the trigger (lease + continuation delay).
+   * @private
+   */
+  scheduleWatchdog_(checkpoint, continuationFunction, delayMs) {
+    if (!continuationFunction) {
+      return;
+    }
+    const trigger = ScriptApp.newTrigger(continuationFunction).timeBased().after(delayMs).create();
+    checkpoint.continuationTriggerId = trigger.getUniqueId();
+  }
+
+  /**
+   * Deletes the continuation (or watchdog) trigger created for the job, if it still exists. Other
+   * triggers of the same handler function are left alone.
+   *
+   * @param {object} checkpoint The job checkpoint.
+   * @private
+   */
+  deleteContinuationTrigger_(checkpoint) {
+    const triggerId = checkpoint.continuationTriggerId;
+    if (!triggerId) {
+      return;
+    }
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getUniqueId() === triggerId)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    checkpoint.continuationTriggerId = null;
+  }
+
+  /**
+   * @param {string} jobName The name of the job.
+   * @returns {string} The Script Properties key of the job checkpoint.
+   * @private
+   */
+  getStorageKey_(jobName) {
+    return `${RESERVED_PROPERTY_PREFIX}JOB_${jobName}`;
+  }
+}
+
+
+// Create a single, global instance of the JobRunner.
+const jobRunner = new JobRunner();
+
+/**
+ * Returns the shared JobRunner.
+ * @returns {JobRunner} The job runner.
+ */
+function getJobRunner() {
+  return jobRunner;
+}
+
+/**
+ * Runs (or resumes) a job. See JobRunner.run().
+ *
+ * @param {string} jobName Unique name of the job.
+ * @param {function(object, object): boolean} stepFn The step function (returns true when done).
+ * @param {object} [options] See JobRunner.run().
+ * @returns {object} The job checkpoint.
+ */
+function runJob(jobName, stepFn, options) {
+  return jobRunner.run(jobName, stepFn, options);
+}
+
+/**
+ * Returns the progress and status of a job. See JobRunner.getStatus().
+ *
+ * @param {string} jobName The name of the job.
+ * @returns {object|null} The job checkpoint, or null if the job has never run.
+ */
+function getJobStatus(jobName) {
+  return jobRunner.getStatus(jobName);
+}
+
+/**
+ * Returns the job status enum.
+ * @returns {object} The JobStatus enum.
+ */
+function getJobStatusEnum() {
+  return JobStatus;
+}
+
+/**
+ * Runs (or resumes) a job over every order matching a search: pages through
+ * /api/v1/orders (see paginate()) and calls `processOrder` once per order, checkpointing
+ * the offset and the IDs already processed in the current page after each order.
+ *
+ * Orders created while the job runs can shift the offsets; pass a stable sort
+ * (e.g. 'sort=created_at') or a fixed date range in `queryParams`.
+ *
+ * @param {string} jobName Unique name of the job.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string|object} queryParams The search filters (see searchOrders()).
+ * @param {function(object, string): void} processOrder Called with (order, instanceName).
+ * @param {object} [options] See JobRunner.run(), plus:
+ * @param {number} [options.pageSize=50] Orders fetched per page.
+ * @returns {object} The job checkpoint.
+ */
+function runOrderJob(jobName, instanceName, queryParams, processOrder, options = {}) {
+  const pageSize = options.pageSize || 50;
+
+  return jobRunner.run(jobName, (checkpoint, context) => {
+    const orders = [];
+    const summary = paginate(instanceName, '/api/v1/orders', {
+      label: `runOrderJob(${jobName})`,
+      query: queryParams,
+      itemsPath: 'orders',
+      pageSize: pageSize,
+      startOffset: checkpoint.offset,
+      maxPages: 1,
+      onPage: items => Array.prototype.push.apply(orders, items),
+    });
+    if (!summary) {
+      throw new RoseRocketError(`Could not fetch orders at offset ${checkpoint.offset}.`, { instance: instanceName });
+    }
+
+    for (const order of orders) {
+      if (context.isProcessed(order.id)) {
+        continue;
+      }
+      if (!context.hasTimeLeft()) {
+        return false; // Resume this page in the next run
+      }
+      processOrder(order, instanceName);
+      context.markProcessed(order.id);
+      context.save();
+    }
+
+    checkpoint.offset = summary.nextOffset;
+    checkpoint.processedIds = [];
+    return summary.done;
+  }, options);
+}
+
+
+/**
+ * Example usage of runOrderJob(). Set it as the continuation function so it resumes itself.
+ */
+function testRunOrderJob() {
+  const status = runOrderJob('testRunOrderJob', Instance.AMADO, QUERY, (order, instanceName) => {
+    const legs = getOrderLegsByOrderId(instanceName, order.id);
+    Logger.log(`Order ${order.public_id}: ${legs ? legs.length : 0} legs`);
+  }, { continuationFunction: 'testRunOrderJob' });
+
+  Logger.log(`Job status: ${status.status}. Processed: ${status.processedCount}. Runs: ${status.runs}.`);
+}
@@ -6,44 +6,29 @@
  * @returns {object|null} The manifest object if found, or null if not found or on error.
  */
 function getManifestById(instanceName, manifestId) {
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`getManifestById: Failed to get access token for ${instanceName}.`);
-        return null;
-    }
+    const result = getRoseRocketClient(instanceName).get(`/api/v1/manifests/${manifestId}`, {
+        label: 'getManifestById',
+        resourceName: 'Manifest',
+    });
 
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
+    if (!result.ok) {
+        return null; // Error already logged by the client
     }
-    const baseUrl = `https://platform.roserocket.com`;
-
-    const manifestUrl = `${baseUrl}/api/v1/manifests/${manifestId}`;  // Correct endpoint
-    const options = {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        muteHttpExceptions: true,
-    };
-
-    try {
-        const response = UrlFetchApp.fetch(manifestUrl, options);
-        const responseCode = response.getResponseCode();
+    return result.data; // Return the parsed manifest object
+}
 
-        if (responseCode >= 200 && responseCode < 300) {
-            return JSON.parse(response.getContentText()); // Return the parsed manifest object
-        } else {
-            Logger.log(`getManifestById: Error fetching manifest ${manifestId}. Response Code: ${responseCode}`);
-            Logger.log(response.getContentText());
-            return null;
-        }
-    } catch (error) {
-        Logger.log(`getManifestById: Error: ${error}`);
+/**
+ * The manifest endpoint may wrap the manifest in `manifest` or `data`.
+ *
+ * @param {object} response The result of getManifestById().
+ * @returns {object|null} The manifest itself.
+ * @private
+ */
+function unwrapManifest_(response) {
+    if (!response) {
         return null;
     }
+    return response.manifest || response.data || response;
 }
 /**
  * Example usage of getManifestById.
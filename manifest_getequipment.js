@@ -7,53 +7,22 @@
  *   if no equipment is found or an error occurs.
  */
 function getEquipmentForManifest(instanceName, manifestId) {
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`getEquipmentForManifest: Failed to get access token for ${instanceName}.`);
-        return null;
-    }
+    const result = getRoseRocketClient(instanceName).get(`/api/v1/manifests/${manifestId}/equipment`, {
+        label: 'getEquipmentForManifest',
+        resourceName: 'Manifest',
+    });
 
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
+    if (!result.ok) {
+        return null; // Error already logged by the client
     }
-    const baseUrl = `https://platform.roserocket.com`;
-
-    const equipmentUrl = `${baseUrl}/api/v1/manifests/${manifestId}/equipment`;
-    const options = {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        muteHttpExceptions: true,
-    };
-
-    try {
-        const response = UrlFetchApp.fetch(equipmentUrl, options);
-        const responseCode = response.getResponseCode();
-
-        if (responseCode >= 200 && responseCode < 300) {
-            const equipmentData = JSON.parse(response.getContentText());
-
-              // Check if equipmentData is an array
-            if (Array.isArray(equipmentData)) {
-                return equipmentData; // Return the array of equipment objects
-            } else {
-                Logger.log(`getEquipmentForManifest: Unexpected response format. Expected an array, got: ${typeof equipmentData}`);
-                Logger.log(`Response: ${response.getContentText()}`);
-                return null; // Unexpected format
-              }
-        } else {
-            Logger.log(`getEquipmentForManifest: Error fetching equipment for manifest ${manifestId}. Response Code: ${responseCode}`);
-            Logger.log(response.getContentText());
-            return null;
-        }
-    } catch (error) {
-        Logger.log(`getEquipmentForManifest: Error: ${error}`);
-        return null;
+
+    // Check if the response is an array
+    if (Array.isArray(result.data)) {
+        return result.data; // Return the array of equipment objects
     }
+    Logger.log(`getEquipmentForManifest: Unexpected response format. Expected an array, got: ${typeof result.data}`);
+    Logger.log(`Response: ${result.body}`);
+    return null; // Unexpected format
 }
 
 /**
@@ -75,57 +44,45 @@ function testGetEquipment() {
 
 /**
  * Retrieves the truck number (equipment name) associated with a given manifest.
- * This function now directly calls getEquipmentForManifest.
+ * For other equipment types, or the full details of the unit, see getEquipmentOfTypeForManifest().
  *
  * @param {string} instanceName The name of the Rose Rocket instance.
  * @param {string} manifestId The Rose Rocket manifest ID.
  * @returns {string|null} The truck number (equipment name) if found, or null otherwise.
  */
 function getTruckNumberForManifest(instanceName, manifestId) {
-    const equipment = getEquipmentForManifest(instanceName, manifestId);
+    const trucks = getEquipmentOfTypeForManifest(instanceName, manifestId, EquipmentType.VEHICLE);
 
-    if (!equipment) {
+    if (!trucks) {
         return null; // Error already logged in getEquipmentForManifest
     }
 
-    for (const equipmentEntry of equipment) {
-        if (equipmentEntry && equipmentEntry.equipment_type) {
-            // Correctly access the nested name property
-            if (equipmentEntry.equipment_type.name === 'Vehicle') {
-                if (equipmentEntry.equipment.name) {
-                    return equipmentEntry.equipment.name;
-                }
-            }
-        }
+    const truck = trucks.find(unit => unit.name);
+    if (truck) {
+        return truck.name;
     }
     Logger.log(`getTruckNumberForManifest: Truck number not found for manifest ${manifestId}.`);
     return null; // No truck found
 }
 /**
  * Retrieves the trailer number (equipment name) associated with a given manifest.
- *  This function now directly calls getEquipmentForManifest.
+ * For other equipment types, or the full details of the unit, see getEquipmentOfTypeForManifest().
+ *
  * @param {string} instanceName The name of the Rose Rocket instance.
  * @param {string} manifestId The Rose Rocket manifest ID.
  * @returns {string|null} The trailer number (equipment name) if found, or null otherwise.
  */
 function getTrailerNumberForManifest(instanceName, manifestId) {
-  const equipment = getEquipmentForManifest(instanceName, manifestId);
+    const trailers = getEquipmentOfTypeForManifest(instanceName, manifestId, EquipmentType.TRAILER);
 
-    if (!equipment) {
+    if (!trailers) {
         return null; // Error already logged in getEquipmentForManifest
     }
 
-  for (const equipmentEntry of equipment) {
-    Logger.log(equipmentEntry.equipment_type.name)
-    if (equipmentEntry && equipmentEntry.equipment_type) {
-        // Correctly access the nested name property
-        if(equipmentEntry.equipment_type.name === 'Trailer'){
-          if(equipmentEntry.equipment.name){
-            return equipmentEntry.equipment.name;
-          }
-        }
+    const trailer = trailers.find(unit => unit.name);
+    if (trailer) {
+        return trailer.name;
     }
-  }
     Logger.log(`getTrailerNumberForManifest: Trailer number not found for manifest ${manifestId}.`);
     return null; // No trailer found
 }
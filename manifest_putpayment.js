@@ -10,74 +10,19 @@ function putPaymentForManifest(instanceName, manifestId, paymentData) {
   const functionName = 'putPaymentForManifest'; // For logging context
   Logger.log(`${functionName}: Updating payment for manifest ${manifestId} in instance ${instanceName}.`);
 
-  // 1. Get Access Token
-  const accessToken = getAccessTokenForInstance(instanceName); // Assuming this function exists and is accessible
-  if (!accessToken) {
-    Logger.log(`${functionName}: Failed to get access token for ${instanceName}.`);
-    return null;
+  const result = getRoseRocketClient(instanceName).put(`/api/v1/manifests/${manifestId}/payment/items/upsert`, paymentData, {
+    label: functionName,
+    resourceName: 'Manifest',
+  });
+
+  if (result.ok) {
+    Logger.log(`${functionName}: Successfully updated payment data for manifest ${manifestId}.`);
+    return result.data; // Return the response data
   }
-
-  // 2. Get Instance Base URL
-  let baseUrl;
-  try {
-    if (typeof instanceManager === 'undefined' || typeof instanceManager.getInstanceBaseURL !== 'function') {
-      Logger.log(`Error in ${functionName}: instanceManager or instanceManager.getInstanceBaseURL is not defined.`);
-      return null;
-    }
-    baseUrl = instanceManager.getInstanceBaseURL(instanceName);
-    if (!baseUrl) {
-      Logger.log(`Error in ${functionName}: instanceManager.getInstanceBaseURL returned null or empty for instance ${instanceName}.`);
-      return null;
-    }
-  } catch (configError) {
-    Logger.log(`Error in ${functionName} while getting base URL for ${instanceName}: ${configError}`);
-    return null;
-  }
-
-  // 3. Construct the API Endpoint URL
-  //  It is YOUR RESPONSIBILITY to have the correct one. It may be, it may not be. It might need to hard code.
-  const paymentUrl = `https://platform.roserocket.com/api/v1/manifests/${manifestId}/payment/items/upsert`;
-  Logger.log(`${functionName}: Requesting URL: ${paymentUrl}`);
-
-  // 4. Prepare UrlFetchApp Options (PUT Request)
-  const options = {
-    method: 'PUT', // Changed to PUT
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    payload: JSON.stringify(paymentData), // Added payload
-    muteHttpExceptions: true,
-  };
-
-  // 5. Make the API Call
-  try {
-    const response = UrlFetchApp.fetch(paymentUrl, options);
-    const responseCode = response.getResponseCode();
-    const responseBody = response.getContentText();
-
-    // 6. Handle Response
-    if (responseCode >= 200 && responseCode < 300) {
-      // Success case
-      try {
-        const responseData = JSON.parse(responseBody);
-        Logger.log(`${functionName}: Successfully updated payment data for manifest ${manifestId}.`);
-        return responseData; // Return the response data
-      } catch (parseError) {
-        Logger.log(`${functionName}: Error parsing JSON response for manifest ${manifestId} (Status ${responseCode}). Error: ${parseError}`);
-        Logger.log(`Response Body: ${responseBody}`);
-        return responseBody; // return raw
-      }
-    } else {
-      // Handle API errors
-      Logger.log(`${functionName}: Error updating payment for manifest ${manifestId}. Response Code: ${responseCode}`);
-      Logger.log(`Response Body: ${responseBody}`);
-      return null; // Return null for errors
-    }
-  } catch (fetchError) {
-    Logger.log(`${functionName}: Critical error during UrlFetchApp.fetch for manifest ${manifestId}: ${fetchError}. Stack: ${fetchError.stack}`);
-    return null;
+  if (result.status >= 200 && result.status < 300) {
+    return result.body; // Updated, but the body isn't JSON: return raw
   }
+  return null; // Error already logged by the client
 }
 
 
@@ -0,0 +1,341 @@
+/**
+ * Manifest payment reconciliation: compares what each manifest of a period pays
+ * (getPaymentForManifest()) with the rate agreed with its driver in a sheet.
+ *
+ * The expected-rate sheet has one row per driver, optionally per lane:
+ *   Driver              | Origin      | Destination  | Rate
+ *   Juan Pérez          |             |              | 1200    ← Any lane
+ *   Juan Pérez          | Chicago, IL | Brampton, ON | 1800    ← This lane (more specific wins)
+ *   d5c1...(driver ID)  |             |              | 950
+ * The Driver column accepts the driver name or ID.
+ *
+ * A long period is reconciled in parts: the scan stops before the execution time limit
+ * (maxRuntimeMs) and the report says where to resume (`nextOffset`, passed as `startOffset`).
+ */
+const DEFAULT_RECONCILIATION_OPTIONS = {
+  headerRow: 1,
+  driverColumn: 'Driver',
+  originColumn: 'Origin',
+  destinationColumn: 'Destination',
+  rateColumn: 'Rate',
+  dateField: 'created', // Date filter of the manifest search: '<dateField>_start_at' / '<dateField>_end_at'
+  tolerance: 0.01,      // Differences up to this amount are not mismatches
+  maxRuntimeMs: 4.5 * 60 * 1000, // Stop reconciling after this long (limit is 6 minutes)
+};
+
+// --- Reconciliation status enum ---
+const ReconciliationStatus = {
+  OK: 'ok',
+  MISMATCH: 'mismatch',
+  MISSING_PAYMENT: 'missing_payment', // The manifest pays nothing
+  NO_RATE: 'no_rate',                 // No row of the rate sheet matches the driver (and lane)
+  UNASSIGNED: 'unassigned',           // The manifest has no driver
+  MULTIPLE_ASSIGNEES: 'multiple_assignees', // Team drivers: the single payment can't be checked against one rate
+  ERROR: 'error',                     // The payment or the assignees couldn't be read
+};
+
+const RECONCILIATION_REPORT_HEADERS = ['Manifest ID', 'Driver ID', 'Driver', 'Lane', 'Paid', 'Expected', 'Difference', 'Status', 'Error'];
+
+
+/**
+ * Reconciles the payments of the manifests of a period against the expected-rate sheet.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const report = reconcileManifestPayments(Instance.AMADO, new Date(2025, 1, 1), new Date(2025, 1, 28, 23, 59), 'Tarifas', {
+ *   outputSheet: 'Conciliación febrero',
+ * });
+ * Logger.log(`${report.mismatches.length} mismatches, ${report.missingPayments.length} unpaid manifests.`);
+ * Logger.log(JSON.stringify(report.totalsByDriver, null, 2));
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {Date} start Start of the period.
+ * @param {Date} end End of the period.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|string} rateSheet The expected-rate sheet, or its name in the active spreadsheet.
+ * @param {object} [options] See DEFAULT_RECONCILIATION_OPTIONS, plus:
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|string} [options.outputSheet] Sheet where the report rows are
+ *   written (its contents are replaced, or the rows appended when resuming with startOffset).
+ *   Created in the active spreadsheet if a name is given and it doesn't exist.
+ * @param {number} [options.maxManifests] Stop after this many manifests.
+ * @param {number} [options.startOffset=0] Resume a previous run from its `nextOffset`.
+ * @param {string} [options.timeZone] Timezone of the period dates (defaults to the script timezone).
+ * @returns {object|null} { rows, mismatches, missingPayments, totalsByDriver, totals, done, nextOffset }:
+ *   - `rows`: { manifestId, driverId, driverName, lane, paid, expected, difference, status, error } per manifest.
+ *   - `mismatches` / `missingPayments`: the rows with those statuses.
+ *   - `totalsByDriver`: { [driver]: { manifests, paid, expected, difference, paidWithoutRate } }.
+ *   - `totals`: { manifests, paid, expected, difference, paidWithoutRate }.
+ *   `difference` only adds up the manifests with an expected rate; what the others paid is
+ *   in `paidWithoutRate`.
+ *   - `done`: false if the time budget ran out; run again with `startOffset: nextOffset` (the
+ *     rows and totals only cover this run).
+ *   Returns null if the rate sheet or the manifests can't be read.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function reconcileManifestPayments(instanceName, start, end, rateSheet, options = {}) {
+  const label = 'reconcileManifestPayments';
+  const settings = Object.assign({}, DEFAULT_RECONCILIATION_OPTIONS, options);
+
+  const rates = readExpectedRates_(label, instanceName, rateSheet, settings);
+  if (!rates) {
+    return null; // Error already reported
+  }
+
+  const zone = settings.timeZone || Session.getScriptTimeZone();
+  const query = {};
+  query[`${settings.dateField}_start_at`] = Utilities.formatDate(start, zone, ORDER_SEARCH_DATE_FORMAT);
+  query[`${settings.dateField}_end_at`] = Utilities.formatDate(end, zone, ORDER_SEARCH_DATE_FORMAT);
+  const usesLanes = rates.some(rate => rate.origin || rate.destination);
+  const rows = [];
+  const scan = paginateWithTimeBudget_(instanceName, '/api/v1/manifests', {
+    label: label,
+    resourceName: 'Manifest',
+    query: query,
+    itemsPath: 'manifests',
+    maxItems: settings.maxManifests,
+    startOffset: settings.startOffset,
+    maxRuntimeMs: settings.maxRuntimeMs,
+  }, manifest => {
+    try {
+      rows.push(reconcileManifest_(instanceName, manifest, rates, usesLanes, settings.tolerance));
+    } catch (e) {
+      // ErrorMode.THROW: report the manifest and keep going with the rest
+      rows.push(createReconciliationRow_(manifest, ReconciliationStatus.ERROR, e.message));
+    }
+  });
+  if (!scan) {
+    return null; // Error already logged
+  }
+
+  const report = {
+    rows: rows,
+    mismatches: rows.filter(row => row.status === ReconciliationStatus.MISMATCH),
+    missingPayments: rows.filter(row => row.status === ReconciliationStatus.MISSING_PAYMENT),
+    totalsByDriver: {},
+    totals: { manifests: rows.length, paid: 0, expected: 0, difference: 0, paidWithoutRate: 0 },
+    done: scan.done,
+    nextOffset: scan.nextOffset,
+  };
+  rows.forEach(row => {
+    const key = row.driverName || row.driverId || '(unassigned)';
+    const driverTotals = report.totalsByDriver[key] || (report.totalsByDriver[key] = { manifests: 0, paid: 0, expected: 0, difference: 0, paidWithoutRate: 0 });
+    [driverTotals, report.totals].forEach(totals => {
+      totals.paid = roundAmount_(totals.paid + (row.paid || 0));
+      if (row.expected === null) {
+        totals.paidWithoutRate = roundAmount_(totals.paidWithoutRate + (row.paid || 0));
+      } else {
+        totals.expected = roundAmount_(totals.expected + row.expected);
+        totals.difference = roundAmount_(totals.difference + row.difference);
+      }
+    });
+    driverTotals.manifests++;
+  });
+
+  if (settings.outputSheet) {
+    writeReconciliationReport_(settings.outputSheet, rows, !!settings.startOffset);
+  }
+  Logger.log(`${label}: ${rows.length} manifest(s): ${report.mismatches.length} mismatch(es), ${report.missingPayments.length} missing payment(s). Paid ${report.totals.paid}, expected ${report.totals.expected}.${report.done ? '' : ` Unfinished: run again with startOffset ${report.nextOffset}.`}`);
+  return report;
+}
+
+/**
+ * Returns the reconciliation status enum.
+ * @returns {object} The ReconciliationStatus enum.
+ */
+function getReconciliationStatusEnum() {
+  return ReconciliationStatus;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} manifest A manifest of the search.
+ * @param {Array<object>} rates The expected rates.
+ * @param {boolean} usesLanes Whether any rate is per lane (the stops are read only then).
+ * @param {number} tolerance The accepted difference.
+ * @returns {object} The report row of the manifest.
+ * @private
+ */
+function reconcileManifest_(instanceName, manifest, rates, usesLanes, tolerance) {
+  const row = createReconciliationRow_(manifest, null, null);
+
+  const assignees = getAssigneesForManifest(instanceName, manifest.id);
+  const payment = getPaymentForManifest(instanceName, manifest.id);
+  if (!assignees || !payment) {
+    row.status = ReconciliationStatus.ERROR;
+    row.error = 'The assignees or the payment could not be read (see the logs).';
+    return row;
+  }
+
+  row.paid = calculateChargeTotals(payment.payment_items || payment.items || []).total;
+  if (assignees.length > 1) {
+    // The payment can't be split among the drivers to compare it with one rate
+    row.driverId = assignees.map(getAssigneeId_).join(', ');
+    row.driverName = assignees.map(getAssigneeName_).filter(name => name).join(', ') || null;
+    row.status = ReconciliationStatus.MULTIPLE_ASSIGNEES;
+    row.error = `${assignees.length} assignees: reconcile this manifest manually.`;
+    return row;
+  }
+  if (assignees.length > 0) {
+    row.driverId = getAssigneeId_(assignees[0]);
+    row.driverName = getAssigneeName_(assignees[0]);
+  }
+
+  let lane = { origin: '', destination: '' };
+  if (usesLanes) {
+    const stops = getStopsForManifest(instanceName, manifest.id);
+    if (!stops) {
+      row.status = ReconciliationStatus.ERROR;
+      row.error = 'The stops could not be read (see the logs).';
+      return row;
+    }
+    lane = getManifestLane_({ stops: stops, legs: manifest.legs || [] });
+    row.lane = `${lane.origin} → ${lane.destination}`;
+  }
+
+  const rate = row.driverId ? findExpectedRate_(rates, row.driverId, row.driverName, lane) : null;
+  if (rate) {
+    row.expected = rate.rate;
+    row.difference = roundAmount_(row.paid - rate.rate);
+  }
+
+  if (!row.driverId) {
+    row.status = ReconciliationStatus.UNASSIGNED;
+  } else if (row.paid === 0) {
+    row.status = ReconciliationStatus.MISSING_PAYMENT;
+  } else if (!rate) {
+    row.status = ReconciliationStatus.NO_RATE;
+  } else {
+    row.status = Math.abs(row.difference) <= tolerance ? ReconciliationStatus.OK : ReconciliationStatus.MISMATCH;
+  }
+  return row;
+}
+
+/**
+ * @param {object} manifest A manifest of the search.
+ * @param {string|null} status The status of the row.
+ * @param {string|null} error The error message, for ReconciliationStatus.ERROR.
+ * @returns {object} An empty report row of the manifest.
+ * @private
+ */
+function createReconciliationRow_(manifest, status, error) {
+  return { manifestId: manifest.id, driverId: null, driverName: null, lane: null, paid: null, expected: null, difference: null, status: status, error: error };
+}
+
+/**
+ * Reads the expected-rate sheet.
+ *
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|string} sheet The sheet, or its name.
+ * @param {object} settings The reconciliation settings.
+ * @returns {Array<object>|null} { driver, origin, destination, rate } per row, or null on error.
+ * @private
+ */
+function readExpectedRates_(label, instanceName, sheet, settings) {
+  const rateSheet = typeof sheet === 'string' ? SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheet) : sheet;
+  if (!rateSheet) {
+    return reportRoseRocketError(new ConfigError(`${label}: Sheet not found: ${sheet}`, { instance: instanceName }));
+  }
+
+  const values = rateSheet.getDataRange().getValues();
+  const headers = (values[settings.headerRow - 1] || []).map(header => String(header).trim());
+  const column = name => headers.indexOf(name);
+  if (column(settings.driverColumn) === -1 || column(settings.rateColumn) === -1) {
+    return reportRoseRocketError(new ConfigError(`${label}: The rate sheet needs the columns '${settings.driverColumn}' and '${settings.rateColumn}'.`, { instance: instanceName }));
+  }
+
+  const rates = [];
+  for (let index = settings.headerRow; index < values.length; index++) {
+    const rowValues = values[index];
+    const driver = String(rowValues[column(settings.driverColumn)] || '').trim();
+    const rate = rowValues[column(settings.rateColumn)];
+    if (!driver || rate === '' || isNaN(Number(rate))) {
+      continue; // Empty or incomplete row
+    }
+    rates.push({
+      driver: driver.toLowerCase(),
+      origin: column(settings.originColumn) === -1 ? '' : normalizePlace_(rowValues[column(settings.originColumn)]),
+      destination: column(settings.destinationColumn) === -1 ? '' : normalizePlace_(rowValues[column(settings.destinationColumn)]),
+      rate: Number(rate),
+    });
+  }
+  return rates;
+}
+
+/**
+ * Finds the rate of a driver for a lane: a row for the exact lane wins over a row for any lane.
+ *
+ * @param {Array<object>} rates The expected rates.
+ * @param {string} driverId The driver ID.
+ * @param {string|null} driverName The driver name.
+ * @param {object} lane { origin, destination } (normalized).
+ * @returns {object|null} The matching rate, or null.
+ * @private
+ */
+function findExpectedRate_(rates, driverId, driverName, lane) {
+  const keys = [String(driverId).toLowerCase(), String(driverName || '').toLowerCase()];
+  const driverRates = rates.filter(rate => keys.indexOf(rate.driver) !== -1);
+  return driverRates.find(rate => rate.origin && rate.origin === lane.origin && rate.destination === lane.destination)
+    || driverRates.find(rate => !rate.origin && !rate.destination)
+    || null;
+}
+
+/**
+ * @param {object} assignee An entry of getAssigneesForManifest().
+ * @returns {string|null} The driver name.
+ * @private
+ */
+function getAssigneeName_(assignee) {
+  const person = assignee.driver || assignee;
+  if (person.name) {
+    return person.name;
+  }
+  const fullName = [person.first_name, person.last_name].filter(part => part).join(' ');
+  return fullName || null;
+}
+
+/**
+ * Replaces the contents of the output sheet with the report rows, or appends them.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|string} sheet The sheet, or its name in the active spreadsheet.
+ * @param {Array<object>} rows The report rows.
+ * @param {boolean} append Append the rows below the existing ones (a resumed run).
+ * @private
+ */
+function writeReconciliationReport_(sheet, rows, append) {
+  let outputSheet = sheet;
+  if (typeof sheet === 'string') {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    outputSheet = spreadsheet.getSheetByName(sheet) || spreadsheet.insertSheet(sheet);
+  }
+
+  const values = rows.map(row => [
+    row.manifestId, row.driverId || '', row.driverName || '', row.lane || '',
+    row.paid === null ? '' : row.paid, row.expected === null ? '' : row.expected,
+    row.difference === null ? '' : row.difference, row.status, row.error || '',
+  ]);
+  if (append && outputSheet.getLastRow() > 0) {
+    if (values.length > 0) {
+      outputSheet.getRange(outputSheet.getLastRow() + 1, 1, values.length, RECONCILIATION_REPORT_HEADERS.length).setValues(values);
+    }
+    return;
+  }
+  values.unshift(RECONCILIATION_REPORT_HEADERS);
+  outputSheet.clearContents();
+  outputSheet.getRange(1, 1, values.length, RECONCILIATION_REPORT_HEADERS.length).setValues(values);
+}
+
+
+/**
+ * Example usage of reconcileManifestPayments() for the last 7 days.
+ */
+function testReconcileManifestPayments() {
+  const end = new Date();
+  const start = new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  const report = reconcileManifestPayments(Instance.AMADO, start, end, 'Tarifas', { outputSheet: 'Conciliación', maxManifests: 50 });
+  if (report) {
+    report.mismatches.forEach(row => Logger.log(`${row.manifestId} (${row.driverName}): paid ${row.paid}, expected ${row.expected}`));
+    Logger.log(JSON.stringify(report.totalsByDriver, null, 2));
+  }
+}
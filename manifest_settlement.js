@@ -0,0 +1,453 @@
+/**
+ * Driver/carrier settlement: calculates the payment items of a manifest from pay rules,
+ * compares them with the current payment (getPaymentForManifest()) and upserts the
+ * difference with putPaymentForManifest() only once approved.
+ *
+ * Pay rules are plain objects, so they can be kept in a sheet or in Script Properties:
+ *   { type: 'per_mile', rate: 2.1 }
+ *   { type: 'per_stop', rate: 50, freeStops: 2 }            // First 2 stops unpaid
+ *   { type: 'flat_lane', lanes: [{ origin: 'Chicago, IL', destination: 'Brampton, ON', amount: 1800 }] }
+ *   { type: 'percent_of_revenue', percent: 25 }             // Of the revenue of the orders moved
+ *   { type: 'accessorial_pass_through', billClasses: ['accessorial'], percent: 100 }
+ * Each rule also accepts `description` (the payment item description, used to match the
+ * current items) and `billClass` (defaults to 'misc').
+ *
+ * The revenue of an order moved in several legs is prorated among its manifests by leg
+ * distance (by number of legs when the distances are unknown), so it isn't paid out in full
+ * on each of them. A manifest has a single payment, so manifests with more than one assignee
+ * (team drivers) are rejected: settle them manually.
+ *
+ * The upsert can't delete payment items, so when a rule no longer applies (e.g., the lane
+ * stopped matching) its current item is set to 0 instead of being left with a stale amount.
+ */
+
+// --- Pay rule type enum ---
+const PayRuleType = {
+  PER_MILE: 'per_mile',
+  PER_STOP: 'per_stop',
+  FLAT_LANE: 'flat_lane',
+  PERCENT_OF_REVENUE: 'percent_of_revenue',
+  ACCESSORIAL_PASS_THROUGH: 'accessorial_pass_through',
+};
+
+// Payment item description of each rule type when the rule has none
+const PAY_RULE_DESCRIPTIONS = {
+  per_mile: 'Mileage pay',
+  per_stop: 'Stop pay',
+  flat_lane: 'Lane rate',
+  percent_of_revenue: 'Revenue share',
+  accessorial_pass_through: 'Accessorial pass-through',
+};
+
+
+/**
+ * Calculates the proposed payment of a manifest and its difference with the current payment.
+ * Nothing is written: pass the result to applyManifestSettlement() once approved.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const payRules = {
+ *   default: [{ type: 'per_mile', rate: 2.1 }, { type: 'per_stop', rate: 50, freeStops: 2 }],
+ *   byAssignee: { [ownerOperatorId]: [{ type: 'percent_of_revenue', percent: 80 }] },
+ * };
+ * const settlement = calculateManifestSettlement(Instance.AMADO, manifestId, payRules);
+ * settlement.diff.add.forEach(item => Logger.log(`+ ${item.description}: ${item.total_amount}`));
+ * settlement.diff.update.forEach(change => Logger.log(`~ ${change.after.description}: ${change.before.total_amount} -> ${change.after.total_amount}`));
+ * // After review:
+ * applyManifestSettlement(Instance.AMADO, settlement, 'dispatch@example.com');
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {Array<object>|object} payRules The pay rules, or { default, byAssignee } where
+ *   `byAssignee` maps a driver or carrier ID to its own rules.
+ * @param {object} [options]
+ * @param {number} [options.miles] The miles of the manifest, when Rose Rocket doesn't have them.
+ * @returns {object|null} { manifestId, assigneeId, items, total, currentTotal, diff, payload, fingerprint }:
+ *   - `items`: the proposed payment items.
+ *   - `total`: the payment total after the upsert, including the `untouched` items.
+ *   - `diff`: { add, update: [{ before, after }], unchanged, untouched } — `update` also sets to 0
+ *     the current items of rules that no longer apply; `untouched` are current items that no rule
+ *     produces (e.g., a manual bonus); the upsert leaves them as they are.
+ *   - `payload`: the body for putPaymentForManifest() (only the added and updated items).
+ *   Returns null on error.
+ * @throws {ConfigError} If the rules are invalid or the manifest has more than one assignee,
+ *   when the error mode is ErrorMode.THROW.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function calculateManifestSettlement(instanceName, manifestId, payRules, options = {}) {
+  const label = 'calculateManifestSettlement';
+
+  const manifestResponse = getManifestById(instanceName, manifestId);
+  const stops = getStopsForManifest(instanceName, manifestId);
+  const assignees = getAssigneesForManifest(instanceName, manifestId);
+  const payment = getPaymentForManifest(instanceName, manifestId);
+  if (!manifestResponse || !stops || !assignees || !payment) {
+    Logger.log(`${label}: Could not read manifest ${manifestId} (details, stops, assignees or payment).`);
+    return null;
+  }
+  const manifest = unwrapManifest_(manifestResponse);
+  const legs = manifest.legs || [];
+
+  if (assignees.length > 1) {
+    return reportRoseRocketError(new ConfigError(
+      `${label}: Manifest ${manifestId} has ${assignees.length} assignees (${assignees.map(getAssigneeId_).join(', ')}). Its single payment can't be split among them: settle it manually.`,
+      { instance: instanceName }));
+  }
+  const assigneeId = assignees.length > 0 ? getAssigneeId_(assignees[0]) : null;
+  const rules = Array.isArray(payRules)
+    ? payRules
+    : (payRules && payRules.byAssignee && payRules.byAssignee[assigneeId]) || (payRules && payRules.default) || [];
+  const ruleErrors = validatePayRules_(rules);
+  if (rules.length === 0 || ruleErrors.length > 0) {
+    return reportRoseRocketError(new ConfigError(
+      `${label}: ${rules.length === 0 ? `No pay rules for assignee ${assigneeId}.` : `Invalid pay rules: ${ruleErrors.join('; ')}`}`,
+      { instance: instanceName }));
+  }
+
+  const context = {
+    manifestId: manifestId,
+    manifest: manifest,
+    legs: legs,
+    stops: stops,
+    miles: options.miles !== undefined ? Number(options.miles) : getManifestMiles_(manifest, legs),
+    orderCharges: null, // Loaded on demand by the revenue rules
+  };
+
+  const items = [];
+  const droppedDescriptions = []; // Rules that don't apply: their current item goes to 0
+  for (const rule of rules) {
+    const item = applyPayRule_(instanceName, rule, context);
+    if (item === null) {
+      Logger.log(`${label}: Could not apply rule ${rule.type} to manifest ${manifestId}.`);
+      return null;
+    }
+    if (item) {
+      items.push(item);
+    } else {
+      droppedDescriptions.push(rule.description || PAY_RULE_DESCRIPTIONS[rule.type]);
+    }
+  }
+
+  const currentItems = payment.payment_items || payment.items || [];
+  const diff = diffPaymentItems_(currentItems, items, droppedDescriptions);
+  const settlement = {
+    manifestId: manifestId,
+    assigneeId: assigneeId,
+    items: items,
+    total: calculateChargeTotals(diff.add.concat(diff.update.map(change => change.after), diff.unchanged, diff.untouched)).total,
+    currentTotal: calculateChargeTotals(currentItems).total,
+    diff: diff,
+    payload: { payment_items: diff.add.concat(diff.update.map(change => change.after)) },
+    fingerprint: getPaymentFingerprint_(currentItems),
+  };
+  Logger.log(`${label}: Manifest ${manifestId}: proposed ${settlement.total} (current ${settlement.currentTotal}). ${diff.add.length} to add, ${diff.update.length} to update, ${diff.untouched.length} left as they are.`);
+  return settlement;
+}
+
+/**
+ * Upserts an approved settlement with putPaymentForManifest(). The payment is read again
+ * first: if it changed since the settlement was calculated, nothing is written.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} settlement The result of calculateManifestSettlement().
+ * @param {string} approvedBy Who approved the settlement (e.g., an email). Required.
+ * @returns {object|null} The response of putPaymentForManifest(), `{ unchanged: true }` if
+ *   there is nothing to write, or null on error.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function applyManifestSettlement(instanceName, settlement, approvedBy) {
+  const label = 'applyManifestSettlement';
+  if (!approvedBy) {
+    return reportRoseRocketError(new ConfigError(`${label}: The settlement of manifest ${settlement.manifestId} must be approved (approvedBy is required). Nothing was written.`, { instance: instanceName }));
+  }
+  if (settlement.payload.payment_items.length === 0) {
+    Logger.log(`${label}: Manifest ${settlement.manifestId} is already settled. Nothing to write.`);
+    return { unchanged: true };
+  }
+
+  const payment = getPaymentForManifest(instanceName, settlement.manifestId);
+  if (!payment) {
+    return null; // Error already logged
+  }
+  if (getPaymentFingerprint_(payment.payment_items || payment.items || []) !== settlement.fingerprint) {
+    return reportRoseRocketError(new ValidationError(`${label}: The payment of manifest ${settlement.manifestId} changed after the settlement was calculated. Recalculate it. Nothing was written.`, { instance: instanceName }));
+  }
+
+  Logger.log(`${label}: Settlement of manifest ${settlement.manifestId} approved by ${approvedBy}: ${settlement.currentTotal} -> ${settlement.total}.`);
+  return putPaymentForManifest(instanceName, settlement.manifestId, settlement.payload);
+}
+
+/**
+ * Returns the pay rule type enum.
+ * @returns {object} The PayRuleType enum.
+ */
+function getPayRuleTypeEnum() {
+  return PayRuleType;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} rule The pay rule.
+ * @param {object} context { manifestId, manifest, legs, stops, miles, orderCharges }.
+ * @returns {object|boolean|null} The payment item, false if the rule doesn't apply
+ *   (e.g., no matching lane), or null if the data it needs can't be read.
+ * @private
+ */
+function applyPayRule_(instanceName, rule, context) {
+  const description = rule.description || PAY_RULE_DESCRIPTIONS[rule.type];
+  const item = (unitPrice, quantity) => calculateChargeItem_({
+    description: description,
+    unit_price: roundAmount_(unitPrice),
+    quantity: quantity,
+    bill_class: rule.billClass || DEFAULT_CHARGE_BILL_CLASS,
+  });
+
+  switch (rule.type) {
+    case PayRuleType.PER_MILE:
+      return context.miles > 0 ? item(rule.rate, context.miles) : false;
+
+    case PayRuleType.PER_STOP: {
+      const paidStops = Math.max(0, context.stops.length - (rule.freeStops || 0));
+      return paidStops > 0 ? item(rule.rate, paidStops) : false;
+    }
+
+    case PayRuleType.FLAT_LANE: {
+      const lane = getManifestLane_(context);
+      const match = rule.lanes.find(candidate =>
+        normalizePlace_(candidate.origin) === lane.origin && normalizePlace_(candidate.destination) === lane.destination);
+      return match ? item(match.amount, 1) : false;
+    }
+
+    case PayRuleType.PERCENT_OF_REVENUE:
+    case PayRuleType.ACCESSORIAL_PASS_THROUGH: {
+      const charges = loadManifestOrderCharges_(instanceName, context);
+      if (!charges) {
+        return null;
+      }
+      const billClasses = rule.type === PayRuleType.ACCESSORIAL_PASS_THROUGH ? rule.billClasses || ['accessorial'] : null;
+      const base = charges
+        .filter(charge => !billClasses || billClasses.indexOf(charge.bill_class) !== -1)
+        .reduce((sum, charge) => sum + charge.total_amount, 0);
+      const percent = rule.percent !== undefined ? rule.percent : 100;
+      return base > 0 ? item(base * percent / 100, 1) : false;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {Array<object>} rules The pay rules.
+ * @returns {Array<string>} The problems found (empty if the rules are valid).
+ * @private
+ */
+function validatePayRules_(rules) {
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const prefix = `rules[${index}]`;
+    if (!rule || Object.values(PayRuleType).indexOf(rule.type) === -1) {
+      errors.push(`${prefix}: Unknown type '${rule && rule.type}'. Use one of: ${Object.values(PayRuleType).join(', ')}`);
+      return;
+    }
+    if ((rule.type === PayRuleType.PER_MILE || rule.type === PayRuleType.PER_STOP) && isNaN(Number(rule.rate))) {
+      errors.push(`${prefix}: A numeric rate is required.`);
+    }
+    if (rule.type === PayRuleType.FLAT_LANE && (!Array.isArray(rule.lanes) || rule.lanes.some(lane => isNaN(Number(lane.amount))))) {
+      errors.push(`${prefix}: lanes must be an array of { origin, destination, amount }.`);
+    }
+    if (rule.type === PayRuleType.PERCENT_OF_REVENUE && (rule.percent === undefined || rule.percent === null || isNaN(Number(rule.percent)))) {
+      errors.push(`${prefix}: A numeric percent is required.`);
+    }
+    if (rule.type === PayRuleType.ACCESSORIAL_PASS_THROUGH && rule.percent !== undefined && isNaN(Number(rule.percent))) {
+      errors.push(`${prefix}: percent must be numeric (defaults to 100).`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Compares the current payment items with the proposed ones, matching them by description.
+ *
+ * @param {Array<object>} currentItems The current payment items.
+ * @param {Array<object>} proposedItems The proposed payment items.
+ * @param {Array<string>} droppedDescriptions Descriptions of the rules that don't apply: a current
+ *   item with one of them (not matched by a proposed item) is updated to 0.
+ * @returns {object} { add, update: [{ before, after }], unchanged, untouched }.
+ * @private
+ */
+function diffPaymentItems_(currentItems, proposedItems, droppedDescriptions) {
+  const diff = { add: [], update: [], unchanged: [], untouched: [] };
+  const matchedIds = [];
+
+  proposedItems.forEach(proposed => {
+    const current = currentItems.find(item =>
+      matchedIds.indexOf(item.id) === -1 && String(item.description || '').toLowerCase() === proposed.description.toLowerCase());
+    if (!current) {
+      diff.add.push(proposed);
+      return;
+    }
+    matchedIds.push(current.id);
+    const before = normalizeChargeItem_(current);
+    if (before.total_amount === proposed.total_amount && before.quantity === proposed.quantity && before.bill_class === proposed.bill_class) {
+      diff.unchanged.push(current);
+    } else {
+      diff.update.push({ before: current, after: Object.assign({}, proposed, { id: current.id }) });
+    }
+  });
+
+  const dropped = droppedDescriptions.map(description => description.toLowerCase());
+  currentItems.filter(item => matchedIds.indexOf(item.id) === -1).forEach(current => {
+    if (dropped.indexOf(String(current.description || '').toLowerCase()) === -1) {
+      diff.untouched.push(current);
+    } else if (normalizeChargeItem_(current).total_amount === 0) {
+      diff.unchanged.push(current);
+    } else {
+      diff.update.push({ before: current, after: calculateChargeItem_({ id: current.id, description: current.description, unit_price: 0, quantity: 1, bill_class: current.bill_class }) });
+    }
+  });
+  return diff;
+}
+
+/**
+ * Reads the charges of the orders moved by the manifest once, and keeps them in the context.
+ * The amounts are the share of the manifest (see getManifestRevenueShare_()).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} context The settlement context.
+ * @returns {Array<object>|null} The prorated charges of every order, or null if one can't be read.
+ * @private
+ */
+function loadManifestOrderCharges_(instanceName, context) {
+  if (context.orderCharges) {
+    return context.orderCharges;
+  }
+
+  // Legs and stop tasks both carry the order ID
+  const orderIds = [];
+  context.legs.map(leg => leg.order_id)
+    .concat(...context.stops.map(stop => (stop.tasks || []).map(task => task.order_id)))
+    .forEach(orderId => {
+      if (orderId && orderIds.indexOf(orderId) === -1) {
+        orderIds.push(orderId);
+      }
+    });
+
+  const charges = [];
+  for (const orderId of orderIds) {
+    const orderCharges = getOrderCharges(instanceName, orderId);
+    const orderLegs = getOrderLegsByOrderId(instanceName, orderId);
+    if (!orderCharges || !orderLegs) {
+      return null;
+    }
+    const share = getManifestRevenueShare_(context, orderLegs);
+    charges.push(...orderCharges.items.map(charge => Object.assign({}, charge, {
+      total_amount: roundAmount_(charge.total_amount * share),
+    })));
+  }
+  context.orderCharges = charges;
+  return charges;
+}
+
+/**
+ * The share of an order's revenue that belongs to the manifest: the distance of its legs
+ * on the manifest over the distance of all its legs (by number of legs when the distances
+ * are unknown). An order moved in a single leg is fully on the manifest.
+ *
+ * @param {object} context The settlement context.
+ * @param {Array<object>} orderLegs Every leg of the order (see getOrderLegsByOrderId()).
+ * @returns {number} The share, from 0 to 1.
+ * @private
+ */
+function getManifestRevenueShare_(context, orderLegs) {
+  if (orderLegs.length <= 1) {
+    return 1;
+  }
+  const manifestLegIds = context.legs.map(leg => leg.id);
+  const onManifest = orderLegs.filter(leg => leg.manifest_id === context.manifestId || manifestLegIds.indexOf(leg.id) !== -1);
+  if (onManifest.length === 0) {
+    return 1 / orderLegs.length; // Found through the stop tasks only: assume one leg
+  }
+  const distanceOf = legs => legs.reduce((sum, leg) => sum + (Number(leg.distance) || 0), 0);
+  const totalDistance = distanceOf(orderLegs);
+  const manifestDistance = distanceOf(onManifest);
+  if (totalDistance > 0 && manifestDistance > 0) {
+    return Math.min(1, manifestDistance / totalDistance);
+  }
+  return onManifest.length / orderLegs.length;
+}
+
+/**
+ * @param {object} manifest The manifest.
+ * @param {Array<object>} legs The legs of the manifest.
+ * @returns {number} The miles of the manifest, or of its legs added up (0 if unknown).
+ * @private
+ */
+function getManifestMiles_(manifest, legs) {
+  const miles = manifest.total_distance || manifest.distance;
+  if (miles) {
+    return Number(miles);
+  }
+  return legs.reduce((sum, leg) => sum + (Number(leg.distance) || 0), 0);
+}
+
+/**
+ * @param {object} context The settlement context.
+ * @returns {object} { origin, destination } — normalized 'city, state' of the first and last
+ *   stops (or of the first and last legs).
+ * @private
+ */
+function getManifestLane_(context) {
+  const placeOf = location => (location ? normalizePlace_(`${location.city || ''}, ${location.state || ''}`) : '');
+  if (context.stops.length > 0) {
+    const first = context.stops[0];
+    const last = context.stops[context.stops.length - 1];
+    return { origin: placeOf(first.location || first.address || first), destination: placeOf(last.location || last.address || last) };
+  }
+  const legs = context.legs;
+  return {
+    origin: legs.length > 0 ? placeOf(legs[0].origin) : '',
+    destination: legs.length > 0 ? placeOf(legs[legs.length - 1].destination) : '',
+  };
+}
+
+/**
+ * @param {string} place A place such as 'Chicago, IL'.
+ * @returns {string} The place in lowercase without extra spaces.
+ * @private
+ */
+function normalizePlace_(place) {
+  return String(place || '').toLowerCase().split(',').map(part => part.trim()).join(', ');
+}
+
+/**
+ * @param {Array<object>} items Payment items.
+ * @returns {string} A fingerprint that changes when any item changes.
+ * @private
+ */
+function getPaymentFingerprint_(items) {
+  return JSON.stringify(items.map(item => [item.id, item.description, Number(item.unit_price), Number(item.quantity), item.bill_class])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0]))));
+}
+
+
+/**
+ * Example usage of the settlement engine (calculation only, nothing is written).
+ */
+function testCalculateManifestSettlement() {
+  const instanceName = Instance.AMADO;
+  const manifestId = 'c9ecfd46-4aaf-4a39-8934-7efb713ca0f2'; // Use a *REAL* manifest ID here.
+  const payRules = [
+    { type: PayRuleType.PER_MILE, rate: 2.1 },
+    { type: PayRuleType.PER_STOP, rate: 50, freeStops: 2 },
+    { type: PayRuleType.ACCESSORIAL_PASS_THROUGH, billClasses: ['accessorial'], percent: 100 },
+  ];
+
+  const settlement = calculateManifestSettlement(instanceName, manifestId, payRules);
+  if (!settlement) {
+    return;
+  }
+  Logger.log(`Proposed: ${settlement.total}. Current: ${settlement.currentTotal}.`);
+  settlement.diff.add.forEach(item => Logger.log(`  + ${item.description}: ${item.total_amount}`));
+  settlement.diff.update.forEach(change => Logger.log(`  ~ ${change.after.description}: ${change.before.total_amount} -> ${change.after.total_amount}`));
+  settlement.diff.untouched.forEach(item => Logger.log(`  = ${item.description}: ${item.total_amount} (not produced by the rules, left as is)`));
+}
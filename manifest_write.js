@@ -0,0 +1,327 @@
+/**
+ * Manifest (master trip) write operations: create from order legs, assign drivers,
+ * attach equipment, reorder stops and dispatch.
+ *
+ * Every function checks what it can before writing (the driver or the equipment exists,
+ * the driver is assigned, the stops belong to the manifest...) and returns
+ * { success, data, error }, so a dispatch board can write the outcome of each row back.
+ */
+
+
+/**
+ * Creates a manifest that moves the given order legs.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const legs = getOrderLegsByOrderId(Instance.AMADO, orderId);
+ * const created = createManifestFromLegs(Instance.AMADO, legs.filter(l => l.type === 'line_haul').map(l => l.id));
+ * if (created.success) {
+ *   assignDriverToManifest(Instance.AMADO, created.data.id, driverId);
+ * }
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {Array<string>} legIds The IDs of the legs to move (see getOrderLegsByOrderId()).
+ * @param {object} [fields] Other manifest fields to send (e.g., { notes }).
+ * @returns {object} { success, data, error } — `data` is the created manifest.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function createManifestFromLegs(instanceName, legIds, fields = {}) {
+  const label = 'createManifestFromLegs';
+  if (!Array.isArray(legIds) || legIds.length === 0) {
+    const error = new ValidationError(`${label}: At least one leg ID is required.`, { instance: instanceName });
+    return reportRoseRocketError(error, createManifestWriteResult_(null, error));
+  }
+
+  const result = getRoseRocketClient(instanceName).post('/api/v1/manifests', Object.assign({}, fields, { leg_ids: legIds }), {
+    label: label,
+    resourceName: 'Manifest',
+  });
+  const writeResult = createManifestWriteResult_(result);
+  if (writeResult.success) {
+    Logger.log(`${label}: Created manifest ${writeResult.data && writeResult.data.id} with ${legIds.length} leg(s).`);
+  }
+  return writeResult;
+}
+
+/**
+ * Assigns a driver to a manifest. The driver must exist.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string} driverId The driver ID.
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function assignDriverToManifest(instanceName, manifestId, driverId) {
+  const label = 'assignDriverToManifest';
+  const missing = checkResourceExists_(label, instanceName, `/api/v1/drivers/${driverId}`, `Driver ${driverId}`);
+  if (missing) {
+    return missing;
+  }
+
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/master_trips/${manifestId}/assignees`, {
+    assignee_id: driverId,
+    assignee_type: 'driver',
+  }, {
+    label: label,
+    resourceName: 'Manifest assignees',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Assigned driver ${driverId} to manifest ${manifestId}.`);
+}
+
+/**
+ * Removes a driver from a manifest. The driver must be assigned to it.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string} driverId The driver ID.
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function unassignDriverFromManifest(instanceName, manifestId, driverId) {
+  const label = 'unassignDriverFromManifest';
+  const assignees = getAssigneesForManifest(instanceName, manifestId);
+  if (!assignees) {
+    return createManifestWriteResult_(null, new RoseRocketError(`${label}: Could not read the assignees of manifest ${manifestId}.`, { instance: instanceName }));
+  }
+  if (!assignees.some(assignee => getAssigneeId_(assignee) === driverId)) {
+    const error = new NotFoundError(`${label}: Driver ${driverId} is not assigned to manifest ${manifestId}.`, { instance: instanceName });
+    return reportRoseRocketError(error, createManifestWriteResult_(null, error));
+  }
+
+  const result = getRoseRocketClient(instanceName).delete(`/api/v1/master_trips/${manifestId}/assignees/${driverId}`, {
+    label: label,
+    resourceName: 'Manifest assignees',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Removed driver ${driverId} from manifest ${manifestId}.`);
+}
+
+/**
+ * Attaches a unit of equipment (truck, trailer...) to a manifest. The equipment must exist.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string} equipmentId The equipment ID.
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function attachEquipmentToManifest(instanceName, manifestId, equipmentId) {
+  const label = 'attachEquipmentToManifest';
+  const missing = checkResourceExists_(label, instanceName, `/api/v1/equipment/${equipmentId}`, `Equipment ${equipmentId}`);
+  if (missing) {
+    return missing;
+  }
+
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/manifests/${manifestId}/equipment`, { equipment_id: equipmentId }, {
+    label: label,
+    resourceName: 'Manifest',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Attached equipment ${equipmentId} to manifest ${manifestId}.`);
+}
+
+/**
+ * Detaches a unit of equipment from a manifest. The equipment must be attached to it.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string} equipmentId The equipment ID.
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function detachEquipmentFromManifest(instanceName, manifestId, equipmentId) {
+  const label = 'detachEquipmentFromManifest';
+  const equipment = getEquipmentForManifest(instanceName, manifestId);
+  if (!equipment) {
+    return createManifestWriteResult_(null, new RoseRocketError(`${label}: Could not read the equipment of manifest ${manifestId}.`, { instance: instanceName }));
+  }
+  if (!equipment.some(entry => entry && entry.equipment && entry.equipment.id === equipmentId)) {
+    const error = new NotFoundError(`${label}: Equipment ${equipmentId} is not attached to manifest ${manifestId}.`, { instance: instanceName });
+    return reportRoseRocketError(error, createManifestWriteResult_(null, error));
+  }
+
+  const result = getRoseRocketClient(instanceName).delete(`/api/v1/manifests/${manifestId}/equipment/${equipmentId}`, {
+    label: label,
+    resourceName: 'Manifest',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Detached equipment ${equipmentId} from manifest ${manifestId}.`);
+}
+
+/**
+ * Sets the order of the stops of a manifest. Every stop of the manifest must be listed once.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {Array<string>} stopIds The stop IDs in the new order (see getStopsForManifest()).
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function reorderManifestStops(instanceName, manifestId, stopIds) {
+  const label = 'reorderManifestStops';
+  const stops = getStopsForManifest(instanceName, manifestId);
+  if (!stops) {
+    return createManifestWriteResult_(null, new RoseRocketError(`${label}: Could not read the stops of manifest ${manifestId}.`, { instance: instanceName }));
+  }
+
+  const currentIds = stops.map(stop => stop.id);
+  const fieldErrors = [];
+  (stopIds || []).forEach((stopId, index) => {
+    if (currentIds.indexOf(stopId) === -1) {
+      fieldErrors.push({ field: `stopIds[${index}]`, message: `Stop ${stopId} is not on manifest ${manifestId}.` });
+    } else if (stopIds.indexOf(stopId) !== index) {
+      fieldErrors.push({ field: `stopIds[${index}]`, message: `Stop ${stopId} is listed more than once.` });
+    }
+  });
+  currentIds.filter(stopId => (stopIds || []).indexOf(stopId) === -1).forEach(stopId => {
+    fieldErrors.push({ field: 'stopIds', message: `Stop ${stopId} of manifest ${manifestId} is missing.` });
+  });
+  if (fieldErrors.length > 0) {
+    const error = new ValidationError(
+      `${label}: Invalid stop order: ${fieldErrors.map(e => `${e.field}: ${e.message}`).join('; ')}`,
+      { instance: instanceName, fieldErrors: fieldErrors });
+    return reportRoseRocketError(error, createManifestWriteResult_(null, error));
+  }
+
+  const result = getRoseRocketClient(instanceName).put(`/api/v1/master_trips/${manifestId}/stops/reorder`, { stop_ids: stopIds }, {
+    label: label,
+    resourceName: 'Manifest stops',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Reordered ${stopIds.length} stop(s) of manifest ${manifestId}.`);
+}
+
+/**
+ * Dispatches a manifest. The manifest must have at least one driver assigned.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function dispatchManifest(instanceName, manifestId) {
+  const label = 'dispatchManifest';
+  const assignees = getAssigneesForManifest(instanceName, manifestId);
+  if (!assignees) {
+    return createManifestWriteResult_(null, new RoseRocketError(`${label}: Could not read the assignees of manifest ${manifestId}.`, { instance: instanceName }));
+  }
+  if (assignees.length === 0) {
+    const error = new ValidationError(`${label}: Manifest ${manifestId} has no driver assigned.`, { instance: instanceName });
+    return reportRoseRocketError(error, createManifestWriteResult_(null, error));
+  }
+
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/manifests/${manifestId}/dispatch`, {}, {
+    label: label,
+    resourceName: 'Manifest',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Dispatched manifest ${manifestId}.`);
+}
+
+/**
+ * Undoes the dispatch of a manifest.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @returns {object} { success, data, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function undispatchManifest(instanceName, manifestId) {
+  const label = 'undispatchManifest';
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/manifests/${manifestId}/undispatch`, {}, {
+    label: label,
+    resourceName: 'Manifest',
+  });
+  return logManifestWrite_(label, createManifestWriteResult_(result), `Undispatched manifest ${manifestId}.`);
+}
+
+/**
+ * Checks that a resource exists before linking it to a manifest.
+ *
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} path The API path of the resource.
+ * @param {string} description The resource, for error messages (e.g., 'Driver 123').
+ * @returns {object|null} A failed write result if the resource can't be read, or null if it exists.
+ * @private
+ */
+function checkResourceExists_(label, instanceName, path, description) {
+  const result = getRoseRocketClient(instanceName).get(path, {
+    label: label,
+    resourceName: description,
+  });
+  if (result.ok) {
+    return null;
+  }
+  const error = result.status === 404
+    ? new NotFoundError(`${label}: ${description} does not exist. Nothing was changed.`, { instance: instanceName })
+    : result.error;
+  return createManifestWriteResult_(null, error);
+}
+
+/**
+ * Assignee entries identify the driver in different fields depending on the endpoint.
+ *
+ * @param {object} assignee An entry of getAssigneesForManifest().
+ * @returns {string|null} The driver ID.
+ * @private
+ */
+function getAssigneeId_(assignee) {
+  if (!assignee) {
+    return null;
+  }
+  return assignee.assignee_id || assignee.driver_id || (assignee.driver && assignee.driver.id) || assignee.id || null;
+}
+
+/**
+ * @param {string} label Prefix for log messages.
+ * @param {object} writeResult The write result.
+ * @param {string} message The message logged on success.
+ * @returns {object} The write result.
+ * @private
+ */
+function logManifestWrite_(label, writeResult, message) {
+  if (writeResult.success) {
+    Logger.log(`${label}: ${message}`);
+  }
+  return writeResult;
+}
+
+/**
+ * Builds the result of a manifest write from a RoseRocketClient result (or a local error).
+ *
+ * @param {object|null} result The RoseRocketClient result.
+ * @param {RoseRocketError} [localError] An error detected before calling the API.
+ * @returns {object} { success, data, error }.
+ * @private
+ */
+function createManifestWriteResult_(result, localError) {
+  const error = localError || (result && result.error) || null;
+  const data = result && result.ok ? result.data : null;
+  return {
+    success: !!(result && result.ok),
+    data: data && data.data ? data.data : data,
+    error: error,
+  };
+}
+
+
+/**
+ * Example usage of the manifest write functions.
+ */
+function testManifestWrites() {
+  const instanceName = Instance.AMADO;
+  const manifestId = '94850ba5-d789-475a-bc31-640fb6f9d069'; // Use a *REAL* test manifest ID here.
+  const driverId = 'REPLACE-WITH-DRIVER-ID';
+  const truckId = 'REPLACE-WITH-EQUIPMENT-ID';
+
+  const assigned = assignDriverToManifest(instanceName, manifestId, driverId);
+  Logger.log(`Assign driver: ${assigned.success} ${assigned.error ? assigned.error.message : ''}`);
+
+  const attached = attachEquipmentToManifest(instanceName, manifestId, truckId);
+  Logger.log(`Attach truck: ${attached.success} ${attached.error ? attached.error.message : ''}`);
+
+  const stops = getStopsForManifest(instanceName, manifestId) || [];
+  const reordered = reorderManifestStops(instanceName, manifestId, stops.map(stop => stop.id));
+  Logger.log(`Reorder stops (same order): ${reordered.success}`);
+
+  const dispatched = dispatchManifest(instanceName, manifestId);
+  Logger.log(`Dispatch: ${dispatched.success} ${dispatched.error ? dispatched.error.message : ''}`);
+}
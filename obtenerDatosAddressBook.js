@@ -2,74 +2,45 @@
 /**
  * @function obtenerDatosAddressBook
  * @description Retrieves address book data from the Rose Rocket API for a specific location.
+ *              Every page of the address book is fetched (see paginate()), so results are no longer
+ *              truncated to the first 50 entries.
  * @param {string} instanceName - The name of the Rose Rocket instance. Must be a valid value from the `Instance` enum.
  * @param {string} locationId - The unique identifier for the location.
  * @param {string} searchTerm - (Optional) A search term to filter address books.  If empty, all address books for the location are returned.
- * @returns {object | null} -  A JavaScript object containing the address book data, or null if an error occurs. The object's structure corresponds to the Rose Rocket API's response format.
+ * @param {object} [options] - (Optional) Paging options passed to paginate() (pageSize, maxItems, maxPages, startOffset, stopWhen).
+ * @returns {object | null} -  A JavaScript object containing the address book data, or null if an error occurs. The object's structure corresponds to the Rose Rocket API's response format,
+ *                           with `data.address_books` holding the entries of every page.
  *                           Returns null if:
  *                           - The instance name is invalid.
  *                           - The instance configuration cannot be retrieved.
  *                           - An access token cannot be retrieved.
  *                           - The API request fails (e.g., invalid location ID, network error, authentication error).
  *                           - The API returns invalid JSON.
- * @throws {Error} - If the `Instance`, `instanceManager`, or `getAccessTokenForInstance` are not properly defined.
  */
-function obtenerDatosAddressBook(instanceName, locationId, searchTerm) {
+function obtenerDatosAddressBook(instanceName, locationId, searchTerm, options = {}) {
+    let firstPage = null;
+    const addressBooks = [];
 
-    // Validate Instance Name
-    if (!Object.values(Instance).includes(instanceName)) {
-        Logger.log(`Error: Invalid instance name: ${instanceName}`);
-        return null;
-    }
-
-    // Get Instance Configuration
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Get Access Token
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`Error: Could not retrieve access token for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Construct the API URL dynamically
-    const apiUrl = `https://athn.roserocket.com/api/v1/locations/${locationId}/address_books?searchTerm=${searchTerm}&offset=0&limit=50`;
-
-    // Prepare Request Options
-    const options = {
-        'method': 'get',
-        'contentType': 'application/json',
-        'headers': {
-            'Authorization': `Bearer ${accessToken}`
+    const summary = paginate(instanceName, `/api/v1/locations/${locationId}/address_books`, Object.assign({}, options, {
+        label: 'obtenerDatosAddressBook',
+        resourceName: 'Location',
+        query: { searchTerm: searchTerm },
+        itemsPath: 'data.address_books',
+        onPage: (items, page) => {
+            firstPage = firstPage || page.response;
+            Array.prototype.push.apply(addressBooks, items);
         },
-        'muteHttpExceptions': true // Suppress HTTP exceptions and handle them manually
-    };
-try {
-    // Make API Request
-    const response = UrlFetchApp.fetch(apiUrl, options);
-
-    // Check HTTP Status Code
-    const responseCode = response.getResponseCode();
+    }));
 
-    if (responseCode >= 400) {
-        Logger.log(`Error: API request failed with status code ${responseCode}.  Response: ${response.getContentText()}`);
-        return null; // Or throw an error, depending on your needs
+    if (!summary) {
+        return null; // Error already logged by the client
     }
 
-    // Parse the JSON response
-    const content = response.getContentText();
-    const data = JSON.parse(content);
-
+    // Keep the shape of the API response, with the entries of every page
+    const data = Object.assign({}, firstPage, {
+        data: Object.assign({}, firstPage && firstPage.data, { address_books: addressBooks }),
+    });
     return data;  // Return the parsed JSON
-
-} catch (e) {
-    Logger.log(`Error during API request or JSON parsing: ${e}`);
-    return null; // Handle errors gracefully
-}
 }
 
 /**
@@ -0,0 +1,138 @@
+/**
+ * Loads an order together with its legs and the manifests moving them (stops, equipment,
+ * assignees, tags and payment) in a single call.
+ */
+
+// Parts that getOrderAggregate() can load. Every part except 'legs' is per manifest.
+const ORDER_AGGREGATE_PARTS = ['legs', 'manifest', 'stops', 'equipment', 'assignees', 'tags', 'payment'];
+
+// Loader of each manifest part: (instanceName, manifestId) => value, or null on error
+const MANIFEST_PART_LOADERS = {
+  manifest: (instanceName, manifestId) => getManifestById(instanceName, manifestId),
+  stops: (instanceName, manifestId) => getStopsForManifest(instanceName, manifestId),
+  equipment: (instanceName, manifestId) => getEquipmentForManifest(instanceName, manifestId),
+  assignees: (instanceName, manifestId) => getAssigneesForManifest(instanceName, manifestId),
+  tags: (instanceName, manifestId) => getTagsForManifest(instanceName, manifestId),
+  payment: (instanceName, manifestId) => getPaymentForManifest(instanceName, manifestId),
+};
+
+
+/**
+ * Loads an order with its legs and, for each leg, the manifest moving it. Manifests shared
+ * by several legs are read once. A part that fails to load is set to null and reported in
+ * `errors`; the rest of the aggregate is still returned.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * // What truck is moving this load and who is driving?
+ * const aggregate = getOrderAggregate(Instance.AMADO, orderId, { include: ['equipment', 'assignees'] });
+ * const current = aggregate && aggregate.inTransitManifest;
+ * if (current) {
+ *   Logger.log(`Equipment: ${JSON.stringify(current.equipment)}. Drivers: ${JSON.stringify(current.assignees)}`);
+ * }
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {object} [options]
+ * @param {Array<string>} [options.include] The parts to load (see ORDER_AGGREGATE_PARTS; defaults
+ *   to all). Legs are always loaded when a manifest part is included.
+ * @returns {object|null} { order, legs, manifests, inTransitManifest, errors, complete }:
+ *   - `legs`: the legs of the order, each with a `manifest` property (null if the leg has none).
+ *   - `manifests`: the manifests by ID: { id, manifest, stops, equipment, assignees, tags, payment }
+ *     with the included parts (the same object is referenced by every leg it moves).
+ *   - `inTransitManifest`: the manifest of the in-transit leg, if any (see getManifestIdForInTransitOrder()).
+ *   - `errors`: { part, manifestId, message } for each part that failed to load; `complete` is
+ *     true when there are none.
+ *   Returns null if the order itself can't be read.
+ * @throws {RoseRocketError} If the order can't be read, when the error mode is ErrorMode.THROW.
+ */
+function getOrderAggregate(instanceName, orderId, options = {}) {
+  const label = 'getOrderAggregate';
+  const include = options.include || ORDER_AGGREGATE_PARTS;
+  const unknownParts = include.filter(part => ORDER_AGGREGATE_PARTS.indexOf(part) === -1);
+  if (unknownParts.length > 0) {
+    return reportRoseRocketError(new ConfigError(`${label}: Unknown parts: ${unknownParts.join(', ')}. Use: ${ORDER_AGGREGATE_PARTS.join(', ')}`, { instance: instanceName }));
+  }
+
+  const order = getOrderDetails(instanceName, orderId);
+  if (!order) {
+    return null; // Error already logged by getOrderDetails
+  }
+
+  const aggregate = { order: order, legs: null, manifests: {}, inTransitManifest: null, errors: [], complete: true };
+  const manifestParts = include.filter(part => part !== 'legs');
+  if (include.indexOf('legs') === -1 && manifestParts.length === 0) {
+    return aggregate;
+  }
+
+  const legs = loadAggregatePart_(aggregate, 'legs', null, () => getOrderLegsByOrderId(instanceName, orderId));
+  if (!legs) {
+    return aggregate;
+  }
+
+  aggregate.legs = legs.map(leg => {
+    const manifestId = leg.manifest_id;
+    if (manifestId && manifestParts.length > 0 && !aggregate.manifests[manifestId]) {
+      const manifest = { id: manifestId };
+      manifestParts.forEach(part => {
+        manifest[part] = loadAggregatePart_(aggregate, part, manifestId, () => MANIFEST_PART_LOADERS[part](instanceName, manifestId));
+      });
+      aggregate.manifests[manifestId] = manifest;
+    }
+    return Object.assign({}, leg, { manifest: manifestId ? aggregate.manifests[manifestId] || null : null });
+  });
+
+  const inTransitManifestId = getInTransitManifestIdFromLegs_(legs);
+  aggregate.inTransitManifest = inTransitManifestId ? aggregate.manifests[inTransitManifestId] || null : null;
+
+  Logger.log(`${label}: Order ${order.public_id || orderId}: ${legs.length} leg(s), ${Object.keys(aggregate.manifests).length} manifest(s), ${aggregate.errors.length} error(s).`);
+  return aggregate;
+}
+
+/**
+ * Loads one part of the aggregate. Failures (null results, or errors thrown in
+ * ErrorMode.THROW) are recorded in `aggregate.errors` instead of stopping the load.
+ *
+ * @param {object} aggregate The aggregate being built.
+ * @param {string} part The part name.
+ * @param {string|null} manifestId The manifest of the part, or null for order parts.
+ * @param {function(): *} loader Loads the part; returns null on error.
+ * @returns {*} The part, or null if it failed to load.
+ * @private
+ */
+function loadAggregatePart_(aggregate, part, manifestId, loader) {
+  let value = null;
+  let message = 'Failed to load (see the logs).';
+  try {
+    value = loader();
+  } catch (e) {
+    message = e.message;
+  }
+  if (value === null || value === undefined) {
+    aggregate.errors.push({ part: part, manifestId: manifestId, message: message });
+    aggregate.complete = false;
+    return null;
+  }
+  return value;
+}
+
+
+/**
+ * Example usage of getOrderAggregate().
+ */
+function testGetOrderAggregate() {
+  const instanceName = Instance.AMADO;
+  const orderId = 'e2f29b55-9e6a-4883-9c8a-1f1f0d8901a5'; // Use a *REAL* order ID here.
+
+  const aggregate = getOrderAggregate(instanceName, orderId);
+  if (!aggregate) {
+    return;
+  }
+  aggregate.legs.forEach(leg => {
+    Logger.log(`Leg ${leg.id} (${leg.type}, ${leg.status}): manifest ${leg.manifest ? leg.manifest.id : 'none'}`);
+  });
+  const current = aggregate.inTransitManifest;
+  Logger.log(`In transit on: ${current ? current.id : 'none'}. Assignees: ${current ? JSON.stringify(current.assignees) : 'N/A'}`);
+  Logger.log(`Complete: ${aggregate.complete}. Errors: ${JSON.stringify(aggregate.errors)}`);
+}
@@ -0,0 +1,340 @@
+/**
+ * Bulk order creation from a Google Sheet, one order per row.
+ *
+ * The mapping links order payload fields (dot paths, with [n] for array elements) to
+ * sheet columns (by header). Each mapping value can be:
+ * - 'Header'                                 → the cell value of that column.
+ * - { column: 'Header', transform: fn }      → fn(cellValue, rowObject) is used as the value.
+ * - { value: constant }                      → the same value for every row.
+ * - { addressBook: 'Header' }                → looks up the cell value (an organization name) in the
+ *                                              address book of `options.locationId` and copies its address.
+ *
+ * ```
+ * importOrdersFromSheet(Instance.AMADO, 'Loads', {
+ *   'customer.id': 'Customer ID',
+ *   'origin': { addressBook: 'Shipper' },
+ *   'destination': { addressBook: 'Consignee' },
+ *   'billing_option': { value: 'prepaid' },
+ *   'pickup_start_at': 'Pickup From',
+ *   'ref_num': 'Reference',
+ *   'commodities[0].commodity_type': { value: 'pallet' },
+ *   'commodities[0].description': 'Description',
+ *   'commodities[0].quantity': 'Pallets',
+ * }, { locationId: '7caf07d5-...' });
+ * ```
+ *
+ * Results are written back to each row as soon as its order is created (public_id, order ID
+ * or error message), and rows that already have an order ID are skipped, so an interrupted
+ * import can simply be run again.
+ *
+ * Orders are created with createOrderIdempotent(), keyed on `keyColumn` when given, or on the
+ * spreadsheet, sheet and row number otherwise: if a create timed out after Rose Rocket stored
+ * the order, the re-run finds that order instead of creating a duplicate. Without a key
+ * column, don't insert, delete or sort rows between runs.
+ */
+const DEFAULT_BULK_IMPORT_OPTIONS = {
+  headerRow: 1,
+  publicIdColumn: 'RR Public ID',
+  orderIdColumn: 'RR Order ID',
+  errorColumn: 'RR Error',
+  booked: false,                 // Use createBookedOrder() instead of createOrder()
+  keyColumn: null,               // Column with a unique key per row (defaults to spreadsheet + sheet + row)
+  keyField: 'external_id',       // Order field holding the key (see createOrderIdempotent())
+  maxRuntimeMs: 4.5 * 60 * 1000, // Stop before the execution limit; run again to continue
+};
+
+// Address fields copied from an address book entry
+const ADDRESS_BOOK_FIELDS = ['address_1', 'address_2', 'city', 'state', 'postal', 'country'];
+
+
+/**
+ * Creates one order per sheet row and writes the result back to the row.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|string} sheet The sheet, or its name in the active spreadsheet.
+ * @param {object} mapping Payload field path → column mapping (see above).
+ * @param {object} [options] See DEFAULT_BULK_IMPORT_OPTIONS, plus:
+ * @param {string} [options.customerId] Customer of every order (otherwise map 'customer.id').
+ * @param {string} [options.locationId] Location whose address book is used for addressBook mappings.
+ * @param {string} [options.timeZone] Timezone used to format date cells (defaults to the script timezone).
+ * @returns {object|null} { created, existing, failed, invalid, skipped, pending, rows } where `rows` lists
+ *   { row, status, publicId, orderId, error } per processed row, or null if the sheet can't be read.
+ *   `existing` rows got the order created for their key by an earlier, interrupted run.
+ */
+function importOrdersFromSheet(instanceName, sheet, mapping, options = {}) {
+  const label = 'importOrdersFromSheet';
+  const settings = Object.assign({}, DEFAULT_BULK_IMPORT_OPTIONS, options);
+  const startedAt = Date.now();
+
+  const targetSheet = typeof sheet === 'string' ? SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheet) : sheet;
+  if (!targetSheet) {
+    return reportRoseRocketError(new ConfigError(`${label}: Sheet not found: ${sheet}`, { instance: instanceName }));
+  }
+
+  const values = targetSheet.getDataRange().getValues();
+  const headers = (values[settings.headerRow - 1] || []).map(header => String(header).trim());
+  const missingColumns = getMappedColumns_(mapping).concat(settings.keyColumn ? [settings.keyColumn] : [])
+    .filter(column => headers.indexOf(column) === -1);
+  if (missingColumns.length > 0) {
+    return reportRoseRocketError(new ConfigError(`${label}: Columns not found in the header row: ${missingColumns.join(', ')}`, { instance: instanceName }));
+  }
+  if (!settings.locationId && Object.keys(mapping).some(field => mapping[field] && mapping[field].addressBook)) {
+    return reportRoseRocketError(new ConfigError(`${label}: options.locationId is required for addressBook mappings.`, { instance: instanceName }));
+  }
+
+  const resultColumns = {
+    publicId: getOrAddColumn_(targetSheet, headers, settings.headerRow, settings.publicIdColumn),
+    orderId: getOrAddColumn_(targetSheet, headers, settings.headerRow, settings.orderIdColumn),
+    error: getOrAddColumn_(targetSheet, headers, settings.headerRow, settings.errorColumn),
+  };
+
+  const summary = { created: 0, existing: 0, failed: 0, invalid: 0, skipped: 0, pending: 0, rows: [] };
+  const rowKeyPrefix = `${targetSheet.getParent().getId()}:${targetSheet.getSheetId()}:`;
+  const addressCache = {};
+
+  for (let index = settings.headerRow; index < values.length; index++) {
+    const rowNumber = index + 1;
+    const rowValues = values[index];
+    const rowObject = {};
+    headers.forEach((header, column) => { rowObject[header] = rowValues[column]; });
+
+    if (rowValues.every(value => value === '' || value === null)) {
+      continue; // Empty row
+    }
+    if (rowObject[settings.orderIdColumn]) {
+      summary.skipped++;
+      continue; // Already created
+    }
+    if (Date.now() - startedAt > settings.maxRuntimeMs) {
+      summary.pending++;
+      continue;
+    }
+
+    const rowResult = { row: rowNumber, status: null, publicId: null, orderId: null, error: null };
+    summary.rows.push(rowResult);
+
+    let payload;
+    try {
+      payload = buildPayloadFromRow_(instanceName, rowObject, mapping, settings, addressCache);
+    } catch (error) {
+      rowResult.status = 'invalid';
+      rowResult.error = error.message;
+    }
+
+    if (payload) {
+      const type = settings.booked ? OrderPayloadType.BOOKED : OrderPayloadType.SINGLE;
+      const validation = validateOrderPayload(payload, type);
+      const customerId = settings.customerId || (payload.customer && payload.customer.id);
+      if (!customerId) {
+        validation.errors.push({ field: 'customer.id', message: 'Required field is missing.' });
+      }
+      const idempotencyKey = settings.keyColumn ? String(rowObject[settings.keyColumn]).trim() : `${rowKeyPrefix}${rowNumber}`;
+      if (!idempotencyKey) {
+        validation.errors.push({ field: settings.keyColumn, message: 'The row key is missing.' });
+      }
+
+      if (validation.errors.length > 0) {
+        rowResult.status = 'invalid';
+        rowResult.error = validation.errors.map(e => `${e.field}: ${e.message}`).join('; ');
+      } else {
+        try {
+          const created = createOrderIdempotent(instanceName, customerId, payload, idempotencyKey, {
+            booked: settings.booked,
+            keyField: settings.keyField,
+          });
+          if (created && created.order && created.order.id) {
+            rowResult.status = created.created ? 'created' : 'existing';
+            rowResult.publicId = created.order.public_id || null;
+            rowResult.orderId = created.order.id;
+          } else {
+            rowResult.status = 'failed';
+            rowResult.error = 'Rose Rocket rejected the order, or its key is being created by another execution. See the execution log for details.';
+          }
+        } catch (error) {
+          rowResult.status = 'failed'; // ErrorMode.THROW: record the row and keep going with the rest
+          rowResult.error = error.message;
+        }
+      }
+    }
+
+    summary[rowResult.status]++;
+    // Write back right away, so a re-run skips this row even if the execution is killed later
+    targetSheet.getRange(rowNumber, resultColumns.publicId).setValue(rowResult.publicId || '');
+    targetSheet.getRange(rowNumber, resultColumns.orderId).setValue(rowResult.orderId || '');
+    targetSheet.getRange(rowNumber, resultColumns.error).setValue(rowResult.error || '');
+  }
+
+  if (summary.pending > 0) {
+    Logger.log(`${label}: Stopped before the execution limit. ${summary.pending} row(s) pending; run the import again to continue.`);
+  }
+  Logger.log(`${label}: Created ${summary.created}, already existing ${summary.existing}, failed ${summary.failed}, invalid ${summary.invalid}, skipped ${summary.skipped}, pending ${summary.pending}.`);
+  return summary;
+}
+
+/**
+ * Builds the order payload of a row from the mapping.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} rowObject The row values by header.
+ * @param {object} mapping The field → column mapping.
+ * @param {object} settings The import settings.
+ * @param {object} addressCache Address book lookups of this import, by name.
+ * @returns {object} The order payload.
+ * @throws {Error} If an address book lookup fails.
+ * @private
+ */
+function buildPayloadFromRow_(instanceName, rowObject, mapping, settings, addressCache) {
+  const timeZone = settings.timeZone || Session.getScriptTimeZone();
+  const payload = {};
+
+  for (const field in mapping) {
+    if (!mapping.hasOwnProperty(field)) {
+      continue;
+    }
+    const spec = typeof mapping[field] === 'string' ? { column: mapping[field] } : mapping[field];
+
+    let value;
+    if (spec.hasOwnProperty('value')) {
+      value = spec.value;
+    } else if (spec.addressBook) {
+      const name = rowObject[spec.addressBook];
+      value = name === '' ? undefined : lookupAddressBookEntry_(instanceName, settings.locationId, String(name).trim(), addressCache);
+    } else {
+      value = rowObject[spec.column];
+      if (spec.transform) {
+        value = spec.transform(value, rowObject);
+      }
+    }
+
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (value instanceof Date) {
+      value = Utilities.formatDate(value, timeZone, ORDER_APPOINTMENT_DATE_FORMAT);
+    }
+    setValueAtPath_(payload, field, value);
+  }
+
+  if (settings.customerId) {
+    payload.customer = { id: settings.customerId };
+  }
+  return payload;
+}
+
+/**
+ * Finds an address book entry by organization name (case-insensitive) and returns its address.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} locationId The location whose address book is searched.
+ * @param {string} name The organization name.
+ * @param {object} addressCache Lookups already made in this import.
+ * @returns {object} The address ({ address_1, city, state, postal, country, ... }).
+ * @throws {Error} If no entry (or more than one) matches the name.
+ * @private
+ */
+function lookupAddressBookEntry_(instanceName, locationId, name, addressCache) {
+  const key = name.toLowerCase();
+  if (addressCache.hasOwnProperty(key)) {
+    return Object.assign({}, addressCache[key]);
+  }
+
+  const data = obtenerDatosAddressBook(instanceName, locationId, name);
+  if (!data) {
+    throw new Error(`Address book lookup failed for '${name}'.`);
+  }
+  const matches = data.data.address_books.filter(entry => String(entry.org_name || '').trim().toLowerCase() === key);
+  if (matches.length !== 1) {
+    throw new Error(matches.length === 0
+      ? `No address book entry named '${name}'.`
+      : `${matches.length} address book entries named '${name}'.`);
+  }
+
+  const address = {};
+  ADDRESS_BOOK_FIELDS.forEach(field => {
+    if (matches[0][field]) {
+      address[field] = matches[0][field];
+    }
+  });
+  addressCache[key] = address;
+  return Object.assign({}, address);
+}
+
+/**
+ * Sets a value in an object by path, creating the intermediate objects and arrays
+ * (e.g., 'commodities[0].quantity').
+ *
+ * @param {object} object The object to modify.
+ * @param {string} path The path.
+ * @param {*} value The value.
+ * @private
+ */
+function setValueAtPath_(object, path, value) {
+  const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let current = object;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (current[keys[i]] === undefined || current[keys[i]] === null) {
+      current[keys[i]] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    }
+    current = current[keys[i]];
+  }
+  const lastKey = keys[keys.length - 1];
+  current[lastKey] = (value && typeof value === 'object' && current[lastKey] && typeof current[lastKey] === 'object')
+    ? Object.assign(current[lastKey], value)
+    : value;
+}
+
+/**
+ * @param {object} mapping The field → column mapping.
+ * @returns {Array<string>} The sheet columns the mapping reads.
+ * @private
+ */
+function getMappedColumns_(mapping) {
+  return Object.keys(mapping)
+    .map(field => (typeof mapping[field] === 'string' ? mapping[field] : mapping[field].column || mapping[field].addressBook))
+    .filter(column => column);
+}
+
+/**
+ * Returns the column number of a header, appending the header to the header row if missing.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {Array<string>} headers The header row (updated when a column is added).
+ * @param {number} headerRow The header row number.
+ * @param {string} header The header to find.
+ * @returns {number} The 1-based column number.
+ * @private
+ */
+function getOrAddColumn_(sheet, headers, headerRow, header) {
+  let index = headers.indexOf(header);
+  if (index === -1) {
+    headers.push(header);
+    index = headers.length - 1;
+    sheet.getRange(headerRow, index + 1).setValue(header);
+  }
+  return index + 1;
+}
+
+
+/**
+ * Example usage of importOrdersFromSheet() on a 'Loads' sheet of the active spreadsheet.
+ */
+function testImportOrdersFromSheet() {
+  const summary = importOrdersFromSheet(Instance.AMADO, 'Loads', {
+    'origin': { addressBook: 'Shipper' },
+    'destination': { addressBook: 'Consignee' },
+    'billing_option': { value: 'prepaid' },
+    'pickup_start_at': 'Pickup From',
+    'pickup_end_at': 'Pickup To',
+    'ref_num': 'Reference',
+    'commodities[0].commodity_type': { value: 'pallet' },
+    'commodities[0].description': 'Description',
+    'commodities[0].quantity': { column: 'Pallets', transform: value => Number(value) },
+  }, {
+    customerId: '7caf07d5-8667-4d8a-aaa3-72180c6ac095', // Replace!
+    locationId: '7caf07d5-8667-4d8a-aaa3-72180c6ac095', // Replace!
+  });
+
+  if (summary) {
+    summary.rows.forEach(row => Logger.log(`Row ${row.row}: ${row.status} ${row.publicId || row.error || ''}`));
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Order charges (revenue lines: freight, fuel, accessorials...).
+ *
+ * Writes mirror putPaymentForManifest(): items are sent to an upsert endpoint, where an
+ * item with `id` updates that line and an item without `id` adds a new one; lines that
+ * are not sent are left as they are. Items use the same shape as manifest payment items:
+ *   { id, description, unit_price, quantity, total_amount, bill_class }
+ *
+ * Every write accepts `{ dryRun: true }` to preview the resulting lines and totals,
+ * calculated client-side, without sending anything. Only the lines being added or changed
+ * are recalculated (unit_price × quantity); the others keep the total_amount of Rose Rocket.
+ */
+
+// bill_class of new charges when none is given
+const DEFAULT_CHARGE_BILL_CLASS = 'misc';
+
+
+/**
+ * Lists the charges of an order with their totals.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @returns {object|null} { items, total, totalsByClass } (see calculateChargeTotals()), or null on error.
+ */
+function getOrderCharges(instanceName, orderId) {
+  const result = getRoseRocketClient(instanceName).get(`/api/v1/orders/${orderId}/revenue`, {
+    label: 'getOrderCharges',
+    resourceName: 'Order revenue',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  return calculateChargeTotals(getRevenueItems_(result.data));
+}
+
+/**
+ * Adds or updates charges of an order (upsert: items with `id` update, items without `id` are added).
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const preview = upsertOrderCharges(Instance.AMADO, orderId, [
+ *   { id: fuelChargeId, unit_price: 85 },                                   // Update
+ *   { description: 'Liftgate', unit_price: 75, bill_class: 'accessorial' }, // Add
+ * ], { dryRun: true });
+ * Logger.log(`New total: ${preview.total}`);
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {Array<object>} items The charges to add or update. Fields omitted in an update keep
+ *   their current value; `total_amount` is recalculated from `unit_price` and `quantity`.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] Only return the preview: nothing is sent.
+ * @returns {object|null} The API response, the preview `{ dryRun, items, total, totalsByClass }`
+ *   in dry-run mode, or null on error.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function upsertOrderCharges(instanceName, orderId, items, options = {}) {
+  const label = 'upsertOrderCharges';
+  if (!Array.isArray(items) || items.length === 0) {
+    return reportRoseRocketError(new ValidationError(`${label}: No charges given for order ${orderId}.`, { instance: instanceName }));
+  }
+
+  const current = getOrderCharges(instanceName, orderId);
+  if (!current) {
+    return null; // Error already logged
+  }
+
+  const currentById = {};
+  current.items.forEach(item => { currentById[item.id] = item; });
+  const fieldErrors = [];
+  const payloadItems = items.map((item, index) => {
+    if (item.id && !currentById[item.id]) {
+      fieldErrors.push({ field: `items[${index}].id`, message: `Order ${orderId} has no charge ${item.id}.` });
+    }
+    const merged = Object.assign({ quantity: 1, bill_class: DEFAULT_CHARGE_BILL_CLASS }, item.id ? currentById[item.id] : {}, item);
+    if (merged.unit_price === undefined || isNaN(Number(merged.unit_price))) {
+      fieldErrors.push({ field: `items[${index}].unit_price`, message: 'A numeric unit_price is required.' });
+    }
+    return calculateChargeItem_(merged);
+  });
+  if (fieldErrors.length > 0) {
+    return reportRoseRocketError(new ValidationError(
+      `${label}: Invalid charges: ${fieldErrors.map(e => `${e.field}: ${e.message}`).join('; ')}`,
+      { instance: instanceName, fieldErrors: fieldErrors }));
+  }
+
+  if (options.dryRun) {
+    const updatedIds = payloadItems.filter(item => item.id).map(item => item.id);
+    const preview = calculateChargeTotals(current.items.filter(item => updatedIds.indexOf(item.id) === -1).concat(payloadItems));
+    Logger.log(`${label}: Dry run. Order ${orderId} total would go from ${current.total} to ${preview.total}. Nothing was sent.`);
+    return Object.assign({ dryRun: true }, preview);
+  }
+
+  return sendOrderChargeUpsert_(label, instanceName, orderId, payloadItems);
+}
+
+/**
+ * Adds a charge to an order.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {object} charge { description, unit_price, quantity=1, bill_class='misc' }.
+ * @param {object} [options] See upsertOrderCharges() (dryRun).
+ * @returns {object|null} See upsertOrderCharges().
+ */
+function addOrderCharge(instanceName, orderId, charge, options = {}) {
+  const item = Object.assign({}, charge);
+  delete item.id;
+  return upsertOrderCharges(instanceName, orderId, [item], options);
+}
+
+/**
+ * Updates a charge of an order.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string} chargeId The ID of the charge.
+ * @param {object} changes The fields to change (e.g., { unit_price: 85 }).
+ * @param {object} [options] See upsertOrderCharges() (dryRun).
+ * @returns {object|null} See upsertOrderCharges().
+ */
+function updateOrderCharge(instanceName, orderId, chargeId, changes, options = {}) {
+  return upsertOrderCharges(instanceName, orderId, [Object.assign({}, changes, { id: chargeId })], options);
+}
+
+/**
+ * Removes a charge from an order.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string} chargeId The ID of the charge.
+ * @param {object} [options] See upsertOrderCharges() (dryRun).
+ * @returns {object|null} The API response (or `true` if it has no body), the preview in
+ *   dry-run mode, or null on error.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function removeOrderCharge(instanceName, orderId, chargeId, options = {}) {
+  const label = 'removeOrderCharge';
+  const current = getOrderCharges(instanceName, orderId);
+  if (!current) {
+    return null; // Error already logged
+  }
+  if (!current.items.some(item => item.id === chargeId)) {
+    return reportRoseRocketError(new NotFoundError(`${label}: Order ${orderId} has no charge ${chargeId}.`, { instance: instanceName }));
+  }
+
+  if (options.dryRun) {
+    const preview = calculateChargeTotals(current.items.filter(item => item.id !== chargeId));
+    Logger.log(`${label}: Dry run. Order ${orderId} total would go from ${current.total} to ${preview.total}. Nothing was sent.`);
+    return Object.assign({ dryRun: true }, preview);
+  }
+
+  const result = getRoseRocketClient(instanceName).delete(`/api/v1/orders/${orderId}/revenue/items/${chargeId}`, {
+    label: label,
+    resourceName: 'Order revenue',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  Logger.log(`${label}: Removed charge ${chargeId} from order ${orderId}.`);
+  return result.data || true;
+}
+
+/**
+ * Calculates the totals of a list of charges (client-side). The `total_amount` of each
+ * charge is used as is; it's only calculated (unit_price × quantity) for charges without one.
+ *
+ * @param {Array<object>} items The charges.
+ * @returns {object} { items, total, totalsByClass } — `items` are copies with numeric amounts,
+ *   `totalsByClass` maps each bill_class to its total.
+ */
+function calculateChargeTotals(items) {
+  const calculated = (items || []).map(item => normalizeChargeItem_(item));
+  const totalsByClass = {};
+  let total = 0;
+  calculated.forEach(item => {
+    const billClass = item.bill_class || DEFAULT_CHARGE_BILL_CLASS;
+    totalsByClass[billClass] = roundAmount_((totalsByClass[billClass] || 0) + item.total_amount);
+    total += item.total_amount;
+  });
+  return { items: calculated, total: roundAmount_(total), totalsByClass: totalsByClass };
+}
+
+/**
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {Array<object>} items The charges to upsert.
+ * @returns {object|null} The API response, or null on error.
+ * @private
+ */
+function sendOrderChargeUpsert_(label, instanceName, orderId, items) {
+  const result = getRoseRocketClient(instanceName).put(`/api/v1/orders/${orderId}/revenue/items/upsert`, { revenue_items: items }, {
+    label: label,
+    resourceName: 'Order revenue',
+  });
+
+  if (result.ok) {
+    Logger.log(`${label}: Upserted ${items.length} charge(s) on order ${orderId}.`);
+    return result.data;
+  }
+  if (result.status >= 200 && result.status < 300) {
+    return result.body; // Updated, but the body isn't JSON: return raw
+  }
+  return null; // Error already logged by the client
+}
+
+/**
+ * @param {object} data The response of the revenue endpoint.
+ * @returns {Array<object>} The revenue items, wherever the response puts them.
+ * @private
+ */
+function getRevenueItems_(data) {
+  const revenue = data && data.data && data.data.revenue ? data.data.revenue : data && data.revenue ? data.revenue : data;
+  return (revenue && (revenue.revenue_items || revenue.items)) || [];
+}
+
+/**
+ * @param {object} item A charge.
+ * @returns {object} A copy with `total_amount` = unit_price × quantity (rounded to cents).
+ * @private
+ */
+function calculateChargeItem_(item) {
+  const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+  const unitPrice = Number(item.unit_price) || 0;
+  return Object.assign({}, item, {
+    unit_price: unitPrice,
+    quantity: quantity,
+    total_amount: roundAmount_(unitPrice * quantity),
+  });
+}
+
+/**
+ * @param {object} item A charge, as read from Rose Rocket.
+ * @returns {object} A copy with numeric amounts. The `total_amount` of the charge is kept
+ *   when it has one, since it may differ from unit_price × quantity.
+ * @private
+ */
+function normalizeChargeItem_(item) {
+  const normalized = calculateChargeItem_(item);
+  const total = item.total_amount;
+  if (total !== undefined && total !== null && total !== '' && !isNaN(Number(total))) {
+    normalized.total_amount = roundAmount_(Number(total));
+  }
+  return normalized;
+}
+
+/**
+ * @param {number} amount An amount.
+ * @returns {number} The amount rounded to cents.
+ * @private
+ */
+function roundAmount_(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+
+/**
+ * Example usage of the order charge functions (dry runs, nothing is sent).
+ */
+function testOrderCharges() {
+  const instanceName = Instance.AMADO;
+  const orderId = 'e2f29b55-9e6a-4883-9c8a-1f1f0d8901a5'; // Use a *REAL* test order ID here.
+
+  const charges = getOrderCharges(instanceName, orderId);
+  if (!charges) {
+    return;
+  }
+  charges.items.forEach(item => Logger.log(`${item.id}: ${item.description} = ${item.total_amount} (${item.bill_class})`));
+  Logger.log(`Total: ${charges.total}. By class: ${JSON.stringify(charges.totalsByClass)}`);
+
+  const added = addOrderCharge(instanceName, orderId, { description: 'Liftgate', unit_price: 75, bill_class: 'accessorial' }, { dryRun: true });
+  Logger.log(`Total with liftgate: ${added && added.total}`);
+
+  if (charges.items.length > 0) {
+    const removed = removeOrderCharge(instanceName, orderId, charges.items[0].id, { dryRun: true });
+    Logger.log(`Total without ${charges.items[0].description}: ${removed && removed.total}`);
+  }
+}
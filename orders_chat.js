@@ -7,20 +7,9 @@
  * @return {boolean} True if the event was posted successfully, false otherwise.
  */
 function postRoserocketInternalNote(instanceName, orderId, message) {
-
-  // Validate instanceName
-  if (!Object.values(Instance).includes(instanceName)) {
-    Logger.log(`Error: Invalid instance: ${instanceName}. Use one of: ${Object.values(Instance).join(', ')}`);
-    return false;
-  }
-
-  const instanceConfig = instanceManager.getConfig(instanceName); //INSTANCES[instanceName]; // Get the config
-  const API_ENDPOINT = `https://athn.roserocket.com/api/v1/orders/${orderId}/internal_events`; // Use template literal
-
-  const accessToken = getAccessTokenForInstance(instanceName); // Pass instanceName
-  if (!accessToken) {
-    Logger.log('Failed to get access token. Aborting.');
-    return false;
+  const instanceConfig = instanceManager.getConfig(instanceName);
+  if (!instanceConfig) {
+    return reportRoseRocketError(new ConfigError(`Error: Invalid instance: ${instanceName}. Use one of: ${Object.values(Instance).join(', ')}`, { instance: instanceName }), false);
   }
 
   const payload = {
@@ -29,35 +18,19 @@ function postRoserocketInternalNote(instanceName, orderId, message) {
     text: message, // Use the provided message
   };
 
-  const options = {
-    method: 'POST',
-    headers: {
-      accept: 'application/json',
-      authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-  };
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/orders/${orderId}/internal_events`, payload, {
+    label: 'postRoserocketInternalNote',
+    resourceName: 'Order',
+  });
 
-  try {
-    const response = UrlFetchApp.fetch(API_ENDPOINT, options);
-    const responseCode = response.getResponseCode();
-
-    if (responseCode >= 200 && responseCode < 300) {
-      Logger.log('Successfully posted event.');
-      Logger.log('nuevos comentarios')
-      Logger.log(response.getContentText());
-      return true; // Indicate success
-    } else {
-      Logger.log(`Error posting event. Response code: ${responseCode}`);
-      Logger.log(response.getContentText());
-      return false; // Indicate failure
-    }
-  } catch (error) {
-    Logger.log('Error posting event:' + error);
+  if (!result.ok) {
+    Logger.log(`Error posting event. Response code: ${result.status}`);
     return false; // Indicate failure
   }
+
+  Logger.log('Successfully posted event.');
+  Logger.log(result.body);
+  return true; // Indicate success
 }
 
 
@@ -0,0 +1,278 @@
+/**
+ * Order cloning and named order templates.
+ *
+ * A fetched order can't be sent back as a create payload: it carries server-managed
+ * fields (id, sequence_id, public_id, status, timestamps...) that Rose Rocket rejects.
+ * orderToCreatePayload() keeps only the fields a create payload accepts (see getOrderCreateFields_())
+ * and removes the server-managed fields of nested objects (addresses, commodities, accessorials).
+ */
+
+// Fields managed by Rose Rocket, removed from nested objects
+const SERVER_MANAGED_ORDER_FIELDS = ['id', 'order_id', 'sequence_id', 'public_id', 'org_id', 'status', 'created_at', 'updated_at', 'deleted_at', 'version'];
+
+// Script Property values are limited to 9 KB (in bytes, not characters)
+const MAX_TEMPLATE_SIZE = 9000;
+
+
+/**
+ * Maps an existing order to a create payload: keeps the create fields and strips
+ * the server-managed fields from nested objects.
+ *
+ * @param {object} order The order (as returned by getOrderDetails(), or getOrderByOrderId().order).
+ * @param {string} [customerId] The customer of the new order (defaults to the customer of `order`).
+ * @returns {object} The create payload.
+ */
+function orderToCreatePayload(order, customerId) {
+  const payload = {};
+  for (const field of getOrderCreateFields_()) {
+    if (order[field] !== undefined && order[field] !== null) {
+      payload[field] = stripServerManagedFields_(order[field]);
+    }
+  }
+  const targetCustomerId = customerId || (order.customer && order.customer.id) || order.customer_id;
+  if (targetCustomerId) {
+    payload.customer = { id: targetCustomerId };
+  }
+  return payload;
+}
+
+/**
+ * Creates a new order as a copy of an existing one.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const newOrder = cloneOrder(Instance.AMADO, sourceOrderId, {
+ *   ref_num: 'REF-NEW',
+ *   pickup_start_at: new Date(2025, 2, 1, 8, 0),
+ *   pickup_end_at: new Date(2025, 2, 1, 17, 0),
+ * });
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} sourceOrderId The ID of the order to copy.
+ * @param {object} [overrides] Fields to set on the copy (new dates, references...). Date values are formatted.
+ * @param {object} [options]
+ * @param {string} [options.customerId] Create the copy for another customer.
+ * @param {boolean} [options.validate=true] Validate the payload before sending it (see validateOrderPayload()).
+ * @param {boolean} [options.dryRun=false] Only build and validate the payload (see createOrder()).
+ * @param {string} [options.timeZone] Timezone used to format Date overrides (defaults to the script timezone).
+ * @returns {object|null} The result of createOrder(), or null on error.
+ * @throws {ConfigError} If the copy has no customer, when the error mode is ErrorMode.THROW.
+ */
+function cloneOrder(instanceName, sourceOrderId, overrides = {}, options = {}) {
+  const response = getOrderByOrderId(instanceName, sourceOrderId);
+  if (!response || !response.order) {
+    Logger.log(`cloneOrder: Could not read source order ${sourceOrderId}.`);
+    return null;
+  }
+
+  const payload = applyOrderOverrides_(orderToCreatePayload(response.order, options.customerId), overrides, options.timeZone);
+  if (!payload.customer || !payload.customer.id) {
+    return reportRoseRocketError(new ConfigError(
+      `cloneOrder: Order ${response.order.public_id || sourceOrderId} has no customer. Pass options.customerId.`,
+      { instance: instanceName }));
+  }
+  Logger.log(`cloneOrder: Creating a copy of ${response.order.public_id || sourceOrderId} for customer ${payload.customer.id}.`);
+  return createOrder(instanceName, payload.customer.id, payload, {
+    validate: options.validate !== false,
+    dryRun: options.dryRun,
+  });
+}
+
+/**
+ * Saves a named order template for a customer in Script Properties.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {string} templateName The template name (e.g., 'Chicago-Brampton weekly').
+ * @param {object} orderData The create payload to save (server-managed fields are stripped).
+ * @returns {boolean} True if the template was saved.
+ */
+function saveOrderTemplate(instanceName, customerId, templateName, orderData) {
+  const template = orderToCreatePayload(orderData, customerId);
+  const value = JSON.stringify(template);
+  const size = Utilities.newBlob(value).getBytes().length; // The limit is in bytes: accented characters take 2
+  if (size > MAX_TEMPLATE_SIZE) {
+    return reportRoseRocketError(new ConfigError(
+      `saveOrderTemplate: Template '${templateName}' is too large (${size} bytes, max ${MAX_TEMPLATE_SIZE}).`,
+      { instance: instanceName }), false);
+  }
+
+  PropertiesService.getScriptProperties().setProperty(getTemplateStorageKey_(instanceName, customerId, templateName), value);
+  Logger.log(`saveOrderTemplate: Saved template '${templateName}' for customer ${customerId}.`);
+  return true;
+}
+
+/**
+ * Saves an existing order as a named template for its customer.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The ID of the order to use as template.
+ * @param {string} templateName The template name.
+ * @returns {boolean} True if the template was saved.
+ */
+function saveOrderTemplateFromOrder(instanceName, orderId, templateName) {
+  const order = getOrderDetails(instanceName, orderId);
+  if (!order) {
+    return false; // Error already logged by getOrderDetails
+  }
+  const customerId = (order.customer && order.customer.id) || order.customer_id;
+  return saveOrderTemplate(instanceName, customerId, templateName, order);
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {string} templateName The template name.
+ * @returns {object|null} The template (a create payload), or null if it doesn't exist or can't be read.
+ * @throws {ConfigError} If the stored template is corrupted, when the error mode is ErrorMode.THROW.
+ */
+function getOrderTemplate(instanceName, customerId, templateName) {
+  const raw = PropertiesService.getScriptProperties().getProperty(getTemplateStorageKey_(instanceName, customerId, templateName));
+  if (!raw) {
+    Logger.log(`getOrderTemplate: Template '${templateName}' not found for customer ${customerId}.`);
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return reportRoseRocketError(new ConfigError(
+      `getOrderTemplate: Template '${templateName}' of customer ${customerId} is corrupted (${e.message}). Save it again or delete it.`,
+      { instance: instanceName }));
+  }
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @returns {Array<string>} The template names of the customer.
+ */
+function listOrderTemplates(instanceName, customerId) {
+  const prefix = getTemplateStorageKey_(instanceName, customerId, '');
+  return PropertiesService.getScriptProperties().getKeys()
+    .filter(key => key.indexOf(prefix) === 0)
+    .map(key => key.substring(prefix.length))
+    .sort();
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {string} templateName The template name.
+ */
+function deleteOrderTemplate(instanceName, customerId, templateName) {
+  PropertiesService.getScriptProperties().deleteProperty(getTemplateStorageKey_(instanceName, customerId, templateName));
+  Logger.log(`deleteOrderTemplate: Deleted template '${templateName}' for customer ${customerId}.`);
+}
+
+/**
+ * Creates an order from a saved template.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {string} templateName The template name.
+ * @param {object} [overrides] Fields to set on the new order (dates, references...).
+ * @param {object} [options] See cloneOrder() (validate, dryRun, timeZone).
+ * @returns {object|null} The result of createOrder(), or null on error.
+ */
+function createOrderFromTemplate(instanceName, customerId, templateName, overrides = {}, options = {}) {
+  const template = getOrderTemplate(instanceName, customerId, templateName);
+  if (!template) {
+    return reportRoseRocketError(new ConfigError(`createOrderFromTemplate: Template '${templateName}' not found for customer ${customerId}.`, { instance: instanceName }));
+  }
+
+  const payload = applyOrderOverrides_(template, overrides, options.timeZone);
+  return createOrder(instanceName, customerId, payload, {
+    validate: options.validate !== false,
+    dryRun: options.dryRun,
+  });
+}
+
+/**
+ * @param {object} payload The create payload.
+ * @param {object} overrides The fields to set. Date values are formatted like updateOrder() does.
+ * @param {string} [timeZone] Timezone used to format Date values.
+ * @returns {object} A new payload with the overrides applied.
+ * @private
+ */
+function applyOrderOverrides_(payload, overrides, timeZone) {
+  const zone = timeZone || Session.getScriptTimeZone();
+  const result = Object.assign({}, payload);
+  for (const field in overrides) {
+    if (overrides.hasOwnProperty(field)) {
+      const value = overrides[field];
+      result[field] = value instanceof Date ? Utilities.formatDate(value, zone, ORDER_APPOINTMENT_DATE_FORMAT) : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Top-level fields copied from an existing order into a create payload: the fields of
+ * the create schema (orders_validation.js) plus references, notes and accessorials
+ * (orders_update.js). external_id identifies a single order and is never copied.
+ * Built on demand because those constants live in other files.
+ *
+ * @returns {Array<string>} The field names.
+ * @private
+ */
+function getOrderCreateFields_() {
+  return Object.keys(SINGLE_ORDER_SCHEMA)
+    .concat(ORDER_UPDATABLE_FIELDS.references, ORDER_UPDATABLE_FIELDS.notes, ORDER_UPDATABLE_FIELDS.accessorials)
+    .filter((field, index, fields) => field !== 'external_id' && fields.indexOf(field) === index);
+}
+
+/**
+ * Deep-copies a value, removing SERVER_MANAGED_ORDER_FIELDS from every nested object.
+ *
+ * @param {*} value The value to copy.
+ * @returns {*} The cleaned copy.
+ * @private
+ */
+function stripServerManagedFields_(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => stripServerManagedFields_(item));
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const key in value) {
+      if (value.hasOwnProperty(key) && SERVER_MANAGED_ORDER_FIELDS.indexOf(key) === -1) {
+        copy[key] = stripServerManagedFields_(value[key]);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {string} templateName The template name.
+ * @returns {string} The Script Properties key of the template.
+ * @private
+ */
+function getTemplateStorageKey_(instanceName, customerId, templateName) {
+  return `${RESERVED_PROPERTY_PREFIX}TEMPLATE_${instanceName}_${customerId}_${templateName}`;
+}
+
+
+/**
+ * Example usage of cloneOrder() and order templates (dry run, nothing is created).
+ */
+function testCloneOrder() {
+  const instanceName = Instance.AMADO;
+  const sourceOrderId = 'e2f29b55-9e6a-4883-9c8a-1f1f0d8901a5'; // Use a *REAL* order ID here.
+
+  const clone = cloneOrder(instanceName, sourceOrderId, { ref_num: 'CLONE-TEST' }, { dryRun: true });
+  Logger.log(`Clone payload valid: ${clone && clone.valid}. Errors: ${clone ? JSON.stringify(clone.errors) : 'N/A'}`);
+  Logger.log(JSON.stringify(clone && clone.payload, null, 2));
+
+  if (saveOrderTemplateFromOrder(instanceName, sourceOrderId, 'Test template')) {
+    const customerId = clone.payload.customer.id;
+    Logger.log(`Templates for ${customerId}: ${listOrderTemplates(instanceName, customerId).join(', ')}`);
+    const fromTemplate = createOrderFromTemplate(instanceName, customerId, 'Test template', { ref_num: 'TEMPLATE-TEST' }, { dryRun: true });
+    Logger.log(`Template payload valid: ${fromTemplate && fromTemplate.valid}`);
+    deleteOrderTemplate(instanceName, customerId, 'Test template');
+  }
+}
@@ -12,6 +12,10 @@
  * @param {string} customerId El ID del cliente para el que se crea la orden.  Este es el ID de cliente de Rose Rocket.
  * @param {object} orderData El objeto de datos de la orden. Consulte la documentación de la API de Rose Rocket (enlace arriba)
  *   para conocer la estructura y los campos requeridos. Este objeto se enviará como JSON en el cuerpo de la solicitud.
+ * @param {object} [options] Opciones de validación (ver orders_validation.js).
+ * @param {boolean} [options.validate=false] Valida el payload con `validateOrderPayload()` antes de enviarlo;
+ *   si no es válido registra todos los problemas y devuelve `null` (o lanza un `ValidationError` en modo THROW).
+ * @param {boolean} [options.dryRun=false] Solo valida: no envía nada y devuelve `{ dryRun, valid, errors, payload }`.
  * @returns {object|null} El objeto de respuesta JSON analizado de Rose Rocket en caso de éxito (normalmente el objeto de orden creado),
  *   o `null` en caso de error. Los errores se registran.
  * @throws {Error} Podría lanzar errores indirectamente desde funciones subyacentes como `instanceManager.getConfig()` o `getAccessTokenForInstance()`
@@ -47,63 +51,22 @@
  * }
  */
 //async function createOrder(instanceName, customerId, orderData) {
-function createOrder(instanceName, customerId, orderData) {
-
-    // Validate Instance Name
-    if (!Object.values(Instance).includes(instanceName)) {
-        Logger.log(`Error: Invalid instance name: ${instanceName}`);
-        return null;
+function createOrder(instanceName, customerId, orderData, options = {}) {
+    const check = checkOrderPayload_('createOrder', instanceName, orderData, OrderPayloadType.SINGLE, options);
+    if (!check.proceed) {
+        return check.value;
     }
 
-    // Get Instance Configuration
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Get Access Token
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`Error: Could not retrieve access token for instance: ${instanceName}`);
-        return null;
-    }
+    const result = getRoseRocketClient(instanceName).post(`/api/v1/customers/${customerId}/orders`, orderData, {
+        label: 'createOrder',
+        resourceName: 'Customer',
+    });
 
-    // Construct API URL
-    const apiUrl = `https://platform.roserocket.com/api/v1/customers/${customerId}/orders`;
-    Logger.log(`API URL: ${apiUrl}`);
-
-    // Prepare Request Options
-    const options = {
-        'method': 'post',
-        'contentType': 'application/json',
-        'headers': {
-            'Authorization': `Bearer ${accessToken}`
-        },
-        'payload': JSON.stringify(orderData),
-        'muteHttpExceptions': true
-    };
-
-    // Make API Request
-    const response = UrlFetchApp.fetch(apiUrl, options);
-    const statusCode = response.getResponseCode();
-    const responseText = response.getContentText();
-
-    // Process Response
-    if (statusCode >= 200 && statusCode < 300) {
-        try {
-           // return JSON.parse(responseText);
-              var order = JSON.parse(responseText); // Parse the JSON response body.
-              return order; // Return the created order object.
-        } catch (e) {
-            Logger.log(`Error parsing JSON response for instance ${instanceName}: ${e}`);
-            Logger.log(`Raw response content: ${responseText}`);
-            return null;
-        }
-    } else {
-        Logger.log(`Error creating order for instance ${instanceName}, customer ${customerId}: Status Code ${statusCode}, Response: ${responseText}`);
+    if (!result.ok) {
+        Logger.log(`Error creating order for instance ${instanceName}, customer ${customerId}: Status Code ${result.status}, Response: ${result.body}`);
         return null;
     }
+    return result.data; // Return the created order object.
 }
 
 
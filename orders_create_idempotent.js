@@ -0,0 +1,248 @@
+/**
+ * Idempotent order creation keyed by a caller-provided key.
+ *
+ * The key is written to the order (external_id by default) and recorded in Script
+ * Properties. Before posting, the existing record and a search by the key are checked,
+ * so a trigger that retries after a timeout gets the order created by the first attempt
+ * instead of creating a duplicate load.
+ */
+const DEFAULT_IDEMPOTENT_CREATE_OPTIONS = {
+  keyField: 'external_id',       // Order field holding the key ('external_id', 'ref_num' or 'po_num')
+  inFlightTtlMs: 10 * 60 * 1000, // An in-flight record older than this is considered abandoned
+  lockTimeoutMs: 30000,          // Longest to wait for the script lock
+  retentionDays: 30,             // Records older than this are pruned
+};
+
+const IdempotencyRecordStatus = {
+  IN_FLIGHT: 'in_flight',
+  CREATED: 'created',
+  UNKNOWN: 'unknown', // The create failed in a way that may have created the order (timeout, 5xx)
+};
+
+
+/**
+ * Creates an order only if no order exists for the idempotency key.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * // The row ID of the sheet is a stable key: running this twice creates a single order
+ * const result = createOrderIdempotent(Instance.AMADO, customerId, orderData, `LOADS-ROW-${row}`);
+ * if (result) {
+ *   Logger.log(`${result.created ? 'Created' : 'Already existed'}: ${result.order.public_id}`);
+ * }
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {object} orderData The create payload (see createOrder()).
+ * @param {string} idempotencyKey The caller-provided key (unique per intended order).
+ * @param {object} [options] See DEFAULT_IDEMPOTENT_CREATE_OPTIONS, plus:
+ * @param {boolean} [options.booked=false] Use createBookedOrder() instead of createOrder().
+ * @param {boolean} [options.validate=false] Validate the payload first (see createOrder()).
+ * @returns {object|null} { order, created, key } — `created` is false when an existing order
+ *   was returned — or null on error (including when another execution is creating the same key).
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function createOrderIdempotent(instanceName, customerId, orderData, idempotencyKey, options = {}) {
+  const label = 'createOrderIdempotent';
+  const settings = Object.assign({}, DEFAULT_IDEMPOTENT_CREATE_OPTIONS, options);
+
+  if (!idempotencyKey) {
+    return reportRoseRocketError(new ConfigError(`${label}: An idempotency key is required.`, { instance: instanceName }));
+  }
+  if (ORDER_SEARCH_FILTERS[settings.keyField] !== 'string') {
+    return reportRoseRocketError(new ConfigError(`${label}: keyField must be a searchable order field (e.g., external_id, ref_num, po_num), got '${settings.keyField}'.`, { instance: instanceName }));
+  }
+
+  const key = String(idempotencyKey);
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(settings.lockTimeoutMs);
+  } catch (lockError) {
+    return reportRoseRocketError(new RoseRocketError(`${label}: Could not acquire lock for key ${key}: ${lockError}. Nothing was created.`, { instance: instanceName }));
+  }
+
+  // The lock only covers the record: reading it and claiming the key as in-flight. No API
+  // call may run while it's held, because a token refresh takes and releases the same
+  // script lock. The search and the create run after the claim.
+  let record;
+  let alreadyCreated;
+  let inFlight;
+  try {
+    record = readIdempotencyRecord_(instanceName, key);
+    alreadyCreated = !!record && record.status === IdempotencyRecordStatus.CREATED;
+    inFlight = !!record && record.status === IdempotencyRecordStatus.IN_FLIGHT && Date.now() - record.updatedAt < settings.inFlightTtlMs;
+    if (!alreadyCreated && !inFlight) {
+      writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.IN_FLIGHT);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (alreadyCreated) {
+    Logger.log(`${label}: Key ${key} already created order ${record.publicId || record.orderId}. Returning it.`);
+    return { order: getOrderDetails(instanceName, record.orderId) || { id: record.orderId, public_id: record.publicId }, created: false, key: key };
+  }
+  if (inFlight) {
+    return reportRoseRocketError(new RoseRocketError(`${label}: Key ${key} is being created by another execution. Try again later.`, { instance: instanceName }));
+  }
+
+  // From here on, a throw (ErrorMode.THROW) must not leave the key in-flight: every retry
+  // would be rejected until inFlightTtlMs. It is recorded as 'unknown' before rethrowing.
+  let existingOrder;
+  try {
+    existingOrder = findOrderByIdempotencyKey_(instanceName, settings.keyField, key);
+  } catch (error) {
+    writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.UNKNOWN);
+    throw error;
+  }
+  if (existingOrder === null) {
+    // Search failed (already logged): don't risk a duplicate. The next call searches again.
+    writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.UNKNOWN);
+    return null;
+  }
+  if (existingOrder) {
+    writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.CREATED, existingOrder);
+    Logger.log(`${label}: Found existing order ${existingOrder.public_id} for key ${key}. Returning it.`);
+    return { order: existingOrder, created: false, key: key };
+  }
+
+  const payload = Object.assign({}, orderData);
+  payload[settings.keyField] = key;
+  const createOptions = { validate: settings.validate };
+  let response;
+  try {
+    response = settings.booked
+      ? createBookedOrder(instanceName, customerId, payload, createOptions)
+      : createOrder(instanceName, customerId, payload, createOptions);
+  } catch (error) {
+    writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.UNKNOWN);
+    Logger.log(`${label}: Create failed for key ${key}. The next call will search for the order before retrying.`);
+    throw error;
+  }
+  const order = response && response.order ? response.order : response;
+
+  if (order && order.id) {
+    writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.CREATED, order);
+    pruneIdempotencyRecords_(settings.retentionDays);
+    return { order: order, created: true, key: key };
+  }
+
+  // The create failed. We can't tell here whether Rose Rocket stored the order before a
+  // timeout or a 5xx, so the record is kept as 'unknown' and the next call searches again.
+  writeIdempotencyRecord_(instanceName, key, IdempotencyRecordStatus.UNKNOWN);
+  Logger.log(`${label}: Create failed for key ${key}. The next call will search for the order before retrying.`);
+  return null;
+}
+
+/**
+ * Returns the idempotency record of a key.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} idempotencyKey The key.
+ * @returns {object|null} { status, orderId, publicId, updatedAt }, or null if the key was never used.
+ */
+function getIdempotencyRecord(instanceName, idempotencyKey) {
+  return readIdempotencyRecord_(instanceName, String(idempotencyKey));
+}
+
+/**
+ * Searches for an order whose key field equals the key.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} keyField The order field holding the key.
+ * @param {string} key The idempotency key.
+ * @returns {object|boolean|null} The order, false if none matches, or null if the search failed.
+ * @private
+ */
+function findOrderByIdempotencyKey_(instanceName, keyField, key) {
+  const orders = newOrderQueryBuilder().where(keyField, key).search(instanceName, { maxItems: 10 });
+  if (!orders) {
+    return null;
+  }
+  // Filters like ref_num may match partially: only an exact match counts
+  const match = orders.find(order => String(order[keyField]) === key && order.status !== OrderStatus.CANCELLED);
+  return match || false;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} key The idempotency key.
+ * @returns {object|null} The stored record, or null.
+ * @private
+ */
+function readIdempotencyRecord_(instanceName, key) {
+  const raw = PropertiesService.getScriptProperties().getProperty(getIdempotencyStorageKey_(instanceName, key));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} key The idempotency key.
+ * @param {string} status The record status (see IdempotencyRecordStatus).
+ * @param {object} [order] The created order.
+ * @private
+ */
+function writeIdempotencyRecord_(instanceName, key, status, order) {
+  PropertiesService.getScriptProperties().setProperty(getIdempotencyStorageKey_(instanceName, key), JSON.stringify({
+    status: status,
+    orderId: order ? order.id : null,
+    publicId: order ? order.public_id || null : null,
+    updatedAt: Date.now(),
+  }));
+}
+
+/**
+ * Deletes the idempotency records older than the retention period.
+ *
+ * @param {number} retentionDays The retention period, in days.
+ * @private
+ */
+function pruneIdempotencyRecords_(retentionDays) {
+  const scriptProperties = PropertiesService.getScriptProperties();
+  const prefix = `${RESERVED_PROPERTY_PREFIX}IDEMPOTENCY_`;
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const allProperties = scriptProperties.getProperties();
+
+  for (const key in allProperties) {
+    if (allProperties.hasOwnProperty(key) && key.indexOf(prefix) === 0) {
+      try {
+        if (JSON.parse(allProperties[key]).updatedAt < cutoff) {
+          scriptProperties.deleteProperty(key);
+        }
+      } catch (e) {
+        scriptProperties.deleteProperty(key);
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} key The idempotency key.
+ * @returns {string} The Script Properties key of the record.
+ * @private
+ */
+function getIdempotencyStorageKey_(instanceName, key) {
+  return `${RESERVED_PROPERTY_PREFIX}IDEMPOTENCY_${instanceName}_${key}`;
+}
+
+
+/**
+ * Example usage of createOrderIdempotent(): the second call returns the first order.
+ */
+function testCreateOrderIdempotent() {
+  const instanceName = Instance.AMADO;
+  const customerId = '7caf07d5-8667-4d8a-aaa3-72180c6ac095'; // Replace!
+  const orderData = {
+    origin: { address_1: '525 West Monroe Street', city: 'Chicago', state: 'IL', postal: '60661', country: 'US' },
+    destination: { address_1: '1 Presidents Choice Circle', city: 'Brampton', state: 'ON', postal: 'L6Y 5S5', country: 'CA' },
+    billing_option: 'prepaid',
+    commodities: [{ commodity_type: 'pallet', description: 'Example Commodity', quantity: 1 }],
+  };
+
+  const first = createOrderIdempotent(instanceName, customerId, orderData, 'TEST-IDEMPOTENT-1');
+  const second = createOrderIdempotent(instanceName, customerId, orderData, 'TEST-IDEMPOTENT-1');
+  Logger.log(`First: created=${first && first.created}. Second: created=${second && second.created}.`);
+  Logger.log(`Same order: ${first && second && first.order.id === second.order.id}`);
+}
@@ -29,6 +29,10 @@
  *                     // ... other order details
  *                 }
  *                 ```
+ * @param {object} [options] Validation options (see orders_validation.js).
+ * @param {boolean} [options.validate=false] Validate the payload with validateOrderPayload() first; invalid
+ *                 payloads are logged with every problem and return `null` (or throw a ValidationError in THROW mode).
+ * @param {boolean} [options.dryRun=false] Only validate: nothing is sent and `{ dryRun, valid, errors, payload }` is returned.
  *
  * @returns {object | null} Returns the JSON response from the API if the order creation is successful.
  *                         Returns `null` if there is an error during the process, such as:
@@ -37,64 +41,17 @@
  *                         - Unable to retrieve access token
  *                         - API request fails
  *                         - JSON parsing error
+ *                         - Network error
  *
- * @throws {Error} Throws an error if `UrlFetchApp.fetch` fails, unless `muteHttpExceptions` is set to `true`.
+ * @deprecated Use createMultiStopOrder() (orders_multistop.js), which works for any customer and
+ *             accepts a MultiStopOrderBuilder. Kept for existing callers; unlike createMultiStopOrder(),
+ *             it doesn't validate unless `options.validate` is true.
  *
  * @customfunction
  */
-function createOrderMultiStopTaylor(instanceName, customerId, orderData) {
-    // Validate Instance Name
-    if (!Object.values(Instance).includes(instanceName)) {
-        Logger.log(`Error: Invalid instance name: ${instanceName}`);
-        return null;
-    }
-
-    // Get Instance Configuration
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Get Access Token
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`Error: Could not retrieve access token for instance: ${instanceName}`);
-        return null;
-    }
-
-    // Construct API URL
-    const apiUrl = `https://platform.roserocket.com/api/v1/customers/${customerId}/multistop_orders`;
-
-    Logger.log(`API URL: ${apiUrl}`);
-
-    // Prepare Request Options
-    const options = {
-        'method': 'post',
-        'contentType': 'application/json',
-        'headers': {
-            'Authorization': `Bearer ${accessToken}`
-        },
-        'payload': JSON.stringify(orderData),
-        'muteHttpExceptions': true
-    };
-
-    // Make API Request
-    const response = UrlFetchApp.fetch(apiUrl, options);
-    const statusCode = response.getResponseCode();
-    const responseText = response.getContentText();
-
-    // Process Response
-    if (statusCode >= 200 && statusCode < 300) {
-        try {
-            return JSON.parse(responseText);
-        } catch (e) {
-            Logger.log(`Error parsing JSON response for instance ${instanceName}: ${e}`);
-            Logger.log(`Raw response content: ${responseText}`);
-            return null;
-        }
-    } else {
-        Logger.log(`Error creating order for instance ${instanceName}, customer ${customerId}: Status Code ${statusCode}, Response: ${responseText}`);
-        return null;
-    }
+function createOrderMultiStopTaylor(instanceName, customerId, orderData, options = {}) {
+    return createMultiStopOrder(instanceName, customerId, orderData, {
+        validate: !!options.validate,
+        dryRun: options.dryRun,
+    });
 }
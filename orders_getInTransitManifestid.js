@@ -7,21 +7,15 @@
  *   the order is not in transit, no manifest ID is found, or an error occurs.
  */
 function getManifestIdForInTransitOrder(instanceName, orderId) {
-    const legs = getLegsForOrder(instanceName, orderId);
+    const legs = getOrderLegsByOrderId(instanceName, orderId);
 
     if (!legs) {
-        return null; // Error getting legs, already logged in getLegsForOrder
+        return null; // Error getting legs, already logged in getOrderLegsByOrderId
     }
 
-    // Iterate through the legs and check for in-transit statuses
-    for (const leg of legs) {
-        if (leg.status === "loaded") {
-            // "loaded" status takes precedence
-            return leg.manifest_id;
-        } else if (leg.status === "dispatched" && leg.type === "line_haul") {
-            // "dispatched" line haul leg is also considered in transit
-            return leg.manifest_id;
-        }
+    const manifestId = getInTransitManifestIdFromLegs_(legs);
+    if (manifestId) {
+        return manifestId;
     }
     // check to see if there is at least 1 available line_haul
     for(const leg of legs){
@@ -36,6 +30,27 @@ function getManifestIdForInTransitOrder(instanceName, orderId) {
     return null; // Not in transit (or no legs found, which is handled above)
 }
 
+/**
+ * Finds the manifest of the in-transit leg among the legs of an order.
+ *
+ * @param {Array<object>} legs The legs of the order (see getOrderLegsByOrderId()).
+ * @returns {string|null} The manifest ID of the in-transit leg, or null if no leg is in transit.
+ * @private
+ */
+function getInTransitManifestIdFromLegs_(legs) {
+    // Iterate through the legs and check for in-transit statuses
+    for (const leg of legs) {
+        if (leg.status === "loaded") {
+            // "loaded" status takes precedence
+            return leg.manifest_id;
+        } else if (leg.status === "dispatched" && leg.type === "line_haul") {
+            // "dispatched" line haul leg is also considered in transit
+            return leg.manifest_id;
+        }
+    }
+    return null;
+}
+
 function testgetManifestIdForInTransitOrder() {
 
   Logger.log(getManifestIdForInTransitOrder(Instance.AMADO, "e2f29b55-9e6a-4883-9c8a-1f1f0d8901a5"))
@@ -1,89 +1,27 @@
 /**
  * Retrieves the legs (shipment segments) for a single order by its OrderID from Rose Rocket.
  *
- * @param {string} instance The Rose Rocket instance name (e.g., 'acme', 'starlight'). Must match INSTANCES keys or be managed by instanceManager.
+ * @param {string} instance The Rose Rocket instance name (e.g., Instance.AMADO). Must be configured in instanceManager.
  * @param {string} orderId The Rose Rocket Order ID (or external ID format like 'ext:...') of the order whose legs are to be retrieved.
  * @returns {object[]|null} An array of leg objects on success, or null on error.
  */
 function getOrderLegsByOrderId(instance, orderId) {
-  // Instance validation (Assuming Instance enum or similar check exists)
-  // If using instanceManager, validation might happen inside getAccessTokenForInstance
-  if (typeof Instance !== 'undefined' && !Object.values(Instance).includes(instance)) {
-    Logger.log(`Error: Invalid instance: ${instance}. Use one of: ${Object.values(Instance).join(', ')}`);
-    return null;
-  } else if (typeof instanceManager !== 'undefined' && !instanceManager.isValidInstance(instance)) { // Or use instanceManager validation if applicable
-     Logger.log(`Error: Invalid instance provided via instanceManager: ${instance}`);
-     return null;
-  }
-
+  const result = getRoseRocketClient(instance).get(`/api/v1/orders/${encodeURIComponent(orderId)}/legs`, {
+    label: 'getOrderLegsByOrderId',
+    resourceName: 'Order',
+  });
 
-  // Get the access token
-  // Assuming getAccessTokenForInstance handles different instances correctly
-  const accessToken = getAccessTokenForInstance(instance);
-  if (!accessToken) {
-    Logger.log(`Error: Could not retrieve access token for instance ${instance}.`);
-    return null;
+  if (!result.ok) {
+    return null; // Error already logged by the client
   }
 
-  // Construct the full API URL for order legs
-  // Base URL might be stored elsewhere, but constructing directly is also fine.
-  const apiUrl = `https://platform.roserocket.com/api/v1/orders/${encodeURIComponent(orderId)}/legs`;
-  Logger.log(`API URL for Legs: ${apiUrl}`);
-
-  const options = {
-    'method': 'get',
-    'headers': {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json' // Good practice to include Accept header
-    },
-    'muteHttpExceptions': true
-  };
-
-  // Make the API request
-  let response;
-  try {
-      response = UrlFetchApp.fetch(apiUrl, options);
-  } catch (e) {
-      Logger.log(`Network or fetch error calling getOrderLegsByOrderId for order ${orderId} on instance ${instance}: ${e}`);
-      return null; // Network-level error
-  }
-
-
-  // Check the response code
-  const responseCode = response.getResponseCode();
-  const responseBody = response.getContentText(); // Get body for logging regardless of code
-  Logger.log(`API Response Code for Legs: ${responseCode}`);
-
-  if (responseCode === 200) {
-    // Success! Parse JSON and return the 'legs' array.
-    try {
-      const parsedResponse = JSON.parse(responseBody);
-      // IMPORTANT: Check if the 'legs' property exists and is an array
-      if (parsedResponse && Array.isArray(parsedResponse.legs)) {
-         Logger.log(`Successfully retrieved ${parsedResponse.legs.length} leg(s) for order ${orderId}.`);
-         return parsedResponse.legs; // Return only the array of legs
-      } else {
-         Logger.log(`Error: API response for legs (200 OK) did not contain a valid 'legs' array for order ${orderId}. Response: ${responseBody}`);
-         return null; // Response structure unexpected
-      }
-    } catch (e) {
-      Logger.log(`Error parsing JSON response for legs: ${e}`);
-      Logger.log(`Raw response content for legs: ${responseBody}`);
-      return null;
-    }
-  } else if (responseCode === 400) {
-    // Bad Request (e.g., invalid orderId format potentially)
-    Logger.log(`Bad Request (400) getting legs for order ${orderId}: ${responseBody}`);
-    return null;
-  } else if (responseCode === 404) {
-    // Not Found (order doesn't exist - this is an assumption, add if observed)
-    Logger.log(`Order Not Found (404) when getting legs for order ${orderId}: ${responseBody}`);
-    return null;
-  } else {
-    // Other error
-    Logger.log(`API Error getting legs for order ${orderId}: ${responseCode} - ${responseBody}`);
-    return null;
+  // IMPORTANT: Check if the 'legs' property exists and is an array
+  if (result.data && Array.isArray(result.data.legs)) {
+    Logger.log(`Successfully retrieved ${result.data.legs.length} leg(s) for order ${orderId}.`);
+    return result.data.legs; // Return only the array of legs
   }
+  Logger.log(`Error: API response for legs (200 OK) did not contain a valid 'legs' array for order ${orderId}. Response: ${result.body}`);
+  return null; // Response structure unexpected
 }
 
 //----------------------------------------------------
@@ -1,68 +1,22 @@
 /**
  * Retrieves a single order by its OrderID from Rose Rocket.
  *
- * @param {string} instance The Rose Rocket instance name (e.g., 'acme', 'starlight').  Must match INSTANCES keys.
+ * @param {string} instance The Rose Rocket instance name (e.g., Instance.AMADO). Must be configured in instanceManager.
  * @param {string} orderId The Rose Rocket Order ID of the order to retrieve.
  * @returns {object|null} The API response object on success, or null on error.
+ * @throws {RoseRocketError} NotFoundError, UnauthorizedError, ServerError, etc. when the
+ *   error mode is ErrorMode.THROW (see errors.js).
  */
 function getOrderByOrderId(instance, orderId) {
-  // Instance validation
-  if (!Object.values(Instance).includes(instance)) {
-    Logger.log(`Error: Invalid instance: ${instance}. Use one of: ${Object.values(Instance).join(', ')}`);
-    return null;
-  }
-
-  const instanceConfig = INSTANCES[instance];
-  const apiUrlBase = 'https://platform.roserocket.com/api/v1/orders';
-
-  // Get the access token
-  const accessToken = getAccessTokenForInstance(instance);
-  if (!accessToken) {
-    Logger.log("Error: Could not retrieve access token.");
-    return null;
-  }
+  const result = getRoseRocketClient(instance).get(`/api/v1/orders/${orderId}`, {
+    label: 'getOrderByOrderId',
+    resourceName: 'Order',
+  });
 
-  // Construct the full API URL
-  const apiUrl = `${apiUrlBase}/${orderId}`;
-  Logger.log(`API URL: ${apiUrl}`);
-
-  const options = {
-    'method': 'get',
-    'headers': {
-      'Authorization': `Bearer ${accessToken}`
-    },
-    'muteHttpExceptions': true
-  };
-
-  // Make the API request
-  const response = UrlFetchApp.fetch(apiUrl, options);
-
-  // Check the response code
-  const responseCode = response.getResponseCode();
-  Logger.log(`API Response Code: ${responseCode}`);
-
-  if (responseCode === 200) {
-    // Success!  Return the parsed JSON.
-    try {
-      return JSON.parse(response.getContentText());
-    } catch (e) {
-      Logger.log(`Error parsing JSON response: ${e}`);
-      Logger.log(`Raw response content: ${response.getContentText()}`);
-      return null;
-    }
-  } else if (responseCode === 400) {
-    // Bad Request
-    Logger.log(`Bad Request (400): ${response.getContentText()}`);
-    return null;
-  } else if (responseCode === 404) {
-    // Not Found (order doesn't exist)
-    Logger.log(`Order Not Found (404): ${response.getContentText()}`);
-    return null;
-  } else {
-    // Other error
-    Logger.log(`API Error: ${responseCode} - ${response.getContentText()}`);
-    return null;
+  if (!result.ok) {
+    return null; // Error already logged by the client
   }
+  return result.data;
 }
 
 /**
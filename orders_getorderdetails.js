@@ -6,53 +6,21 @@
  * @returns {object|null} The order object if found, or null on error.
  */
 function getOrderDetails(instanceName, orderId) {
-    const accessToken = getAccessTokenForInstance(instanceName);
-    if (!accessToken) {
-        Logger.log(`getOrderDetails: Failed to get access token for ${instanceName}.`);
-        return null;
-    }
+    const result = getRoseRocketClient(instanceName).get(`/api/v1/orders/${orderId}`, {
+        label: 'getOrderDetails',
+        resourceName: 'Order',
+    });
 
-    const config = instanceManager.getConfig(instanceName);
-    if (!config) {
-        Logger.log(`Error: Could not retrieve configuration for instance: ${instanceName}`);
-        return null;
+    if (!result.ok) {
+        return null; // Error already logged by the client
     }
-    const baseUrl = `https://platform.roserocket.com`;
-
-    // Construct API URL to get order by ID.
-    const orderUrl = `${baseUrl}/api/v1/orders/${orderId}`;
-
-    const options = {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        muteHttpExceptions: true,
-    };
-
-    try {
-        const response = UrlFetchApp.fetch(orderUrl, options);
-        const responseCode = response.getResponseCode();
 
-        if (responseCode >= 200 && responseCode < 300) {
-            const parsedResponse = JSON.parse(response.getContentText());
-            // Check if the 'order' property exists and return it directly
-            if (parsedResponse && parsedResponse.order) {
-                return parsedResponse.order; // Return the unwrapped order object
-            } else {
-                Logger.log(`getOrderDetails: Unexpected response format. Missing 'order' property. Response: ${response.getContentText()}`);
-                return null;
-            }
-        } else {
-            Logger.log(`getOrderDetails: Error fetching order details for order ID ${orderId}. Response Code: ${responseCode}`);
-            Logger.log(response.getContentText());
-            return null;
-        }
-    } catch (error) {
-        Logger.log(`getOrderDetails: Error: ${error}`);
-        return null;
+    // Check if the 'order' property exists and return it directly
+    if (result.data && result.data.order) {
+        return result.data.order; // Return the unwrapped order object
     }
+    Logger.log(`getOrderDetails: Unexpected response format. Missing 'order' property. Response: ${result.body}`);
+    return null;
 }
 
 // Add this test function *within* the Rose Rocket Library project
@@ -0,0 +1,453 @@
+/**
+ * Multi-stop orders for any customer: a builder for the ordered stops, the create
+ * function and a reader that returns the multi-stop order with its child orders.
+ *
+ * Rose Rocket splits a multi-stop order into child orders (one per pickup/delivery pair);
+ * each child order has `is_multistop_order` and `multistop_order_id` set.
+ */
+
+// Stop types, in the values used by the API (see ORDER_FIELD_ENUMS.stop_type)
+const StopType = {
+  PICKUP: 'pickup',
+  DELIVERY: 'delivery',
+};
+
+
+/**
+ * MultiStopOrderBuilder class: builds the payload of createMultiStopOrder() stop by stop.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const order = newMultiStopOrderBuilder('America/Chicago')
+ *   .billingOption('prepaid')
+ *   .refNum('REF-123')
+ *   .addressBook(locationId)
+ *   .pickup({ addressBook: 'ACME Chicago' }, {
+ *     start: new Date(2025, 2, 1, 8, 0), end: new Date(2025, 2, 1, 12, 0),
+ *     commodities: [{ commodity_type: 'pallet', description: 'Parts', quantity: 4 }],
+ *   })
+ *   .delivery({ address_1: '1 Presidents Choice Circle', city: 'Brampton', state: 'ON', postal: 'L6Y 5S5', country: 'CA' },
+ *     { start: new Date(2025, 2, 2, 8, 0), end: new Date(2025, 2, 2, 17, 0) })
+ *   .delivery('LOCATION-ID', { start: new Date(2025, 2, 3, 8, 0) })
+ *   .create(Instance.AMADO, customerId);
+ * ```
+ *
+ * Stops are sent in the order they are added. Invalid values throw a ConfigError as soon
+ * as they are set; the payload as a whole is checked with validateOrderPayload().
+ */
+class MultiStopOrderBuilder {
+  /**
+   * @param {string} [timeZone] Timezone used to format Date values (defaults to the script timezone).
+   * @constructor
+   */
+  constructor(timeZone) {
+    this.fields = {};
+    this.stops = [];
+    this.zone = timeZone || Session.getScriptTimeZone();
+    this.addressBookLocationId = null;
+  }
+
+  /**
+   * @param {string} timeZone A timezone ID (e.g., 'America/Mexico_City', 'UTC').
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  timeZone(timeZone) {
+    this.zone = timeZone;
+    return this;
+  }
+
+  /**
+   * Sets a top-level field of the payload (e.g., 'notes', 'dim_type'). Null or undefined removes it.
+   *
+   * @param {string} field The field name.
+   * @param {*} value The value. Date values are formatted when the payload is built.
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  set(field, value) {
+    if (field === 'stops') {
+      throw new ConfigError('MultiStopOrderBuilder: Use pickup() and delivery() to add stops.');
+    }
+    if (value === null || value === undefined) {
+      delete this.fields[field];
+    } else {
+      this.fields[field] = value;
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} billingOption One of ORDER_FIELD_ENUMS.billing_option (e.g., 'prepaid').
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  billingOption(billingOption) {
+    if (ORDER_FIELD_ENUMS.billing_option.indexOf(billingOption) === -1) {
+      throw new ConfigError(`MultiStopOrderBuilder: Invalid billing option '${billingOption}'. Use one of: ${ORDER_FIELD_ENUMS.billing_option.join(', ')}`);
+    }
+    return this.set('billing_option', billingOption);
+  }
+
+  /**
+   * @param {string} refNum The reference number.
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  refNum(refNum) {
+    return this.set('ref_num', refNum);
+  }
+
+  /**
+   * @param {string} poNum The PO number.
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  poNum(poNum) {
+    return this.set('po_num', poNum);
+  }
+
+  /**
+   * Sets the location whose address book resolves `{ addressBook: 'Name' }` stop locations
+   * (see obtenerDatosAddressBook()).
+   *
+   * @param {string} locationId The location ID.
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  addressBook(locationId) {
+    this.addressBookLocationId = locationId;
+    return this;
+  }
+
+  /**
+   * Adds a pickup stop.
+   *
+   * @param {string|object} location A location ID, an address object (see ADDRESS_SCHEMA),
+   *   or `{ addressBook: 'Name' }` to use the address book entry with that name.
+   * @param {object} [options]
+   * @param {Date|string} [options.start] Start of the appointment window.
+   * @param {Date|string} [options.end] End of the appointment window.
+   * @param {Array<object>} [options.commodities] The commodities picked up at this stop (see COMMODITY_SCHEMA).
+   * @param {string} [options.notes] Notes for this stop.
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  pickup(location, options) {
+    return this.addStop_(StopType.PICKUP, location, options || {});
+  }
+
+  /**
+   * Adds a delivery stop.
+   *
+   * @param {string|object} location See pickup().
+   * @param {object} [options] See pickup(); `commodities` are the ones delivered at this stop.
+   * @returns {MultiStopOrderBuilder} This builder.
+   */
+  delivery(location, options) {
+    return this.addStop_(StopType.DELIVERY, location, options || {});
+  }
+
+  /**
+   * Builds the payload of createMultiStopOrder().
+   *
+   * @param {string} [instanceName] The name of the Rose Rocket instance. Required only when
+   *   a stop uses an address book entry.
+   * @returns {object} The payload.
+   * @throws {ConfigError} If an address book entry can't be resolved.
+   */
+  build(instanceName) {
+    const payload = {};
+    for (const field in this.fields) {
+      if (this.fields.hasOwnProperty(field)) {
+        payload[field] = this.formatValue_(this.fields[field]);
+      }
+    }
+
+    const addressCache = {};
+    payload.stops = this.stops.map((stop, index) => {
+      const result = {};
+      for (const field in stop) {
+        if (stop.hasOwnProperty(field) && field !== 'addressBook') {
+          result[field] = this.formatValue_(stop[field]);
+        }
+      }
+      if (stop.addressBook) {
+        result.location = this.resolveAddressBook_(instanceName, stop.addressBook, index, addressCache);
+      }
+      return result;
+    });
+    return payload;
+  }
+
+  /**
+   * Validates the payload with validateOrderPayload().
+   *
+   * @param {string} [instanceName] See build().
+   * @returns {object} { valid, errors } (see validateOrderPayload()).
+   */
+  validate(instanceName) {
+    return validateOrderPayload(this.build(instanceName), OrderPayloadType.MULTI_STOP);
+  }
+
+  /**
+   * Creates the order with createMultiStopOrder().
+   *
+   * @param {string} instanceName The name of the Rose Rocket instance.
+   * @param {string} customerId The customer ID.
+   * @param {object} [options] See createMultiStopOrder().
+   * @returns {object|null} The result of createMultiStopOrder().
+   */
+  create(instanceName, customerId, options) {
+    return createMultiStopOrder(instanceName, customerId, this, options);
+  }
+
+  /**
+   * @param {string} type The stop type (see StopType).
+   * @param {string|object} location See pickup().
+   * @param {object} options See pickup().
+   * @returns {MultiStopOrderBuilder} This builder.
+   * @private
+   */
+  addStop_(type, location, options) {
+    const label = `MultiStopOrderBuilder: Stop ${this.stops.length + 1} (${type})`;
+    const stop = { type: type };
+
+    if (typeof location === 'string' && location) {
+      stop.location_id = location;
+    } else if (location && typeof location === 'object' && location.addressBook) {
+      stop.addressBook = String(location.addressBook);
+    } else if (location && typeof location === 'object' && !Array.isArray(location)) {
+      stop.location = Object.assign({}, location);
+    } else {
+      throw new ConfigError(`${label}: Expected a location ID, an address or { addressBook: 'Name' }.`);
+    }
+
+    const start = this.validateDate_(label, 'start', options.start);
+    const end = this.validateDate_(label, 'end', options.end);
+    if (start instanceof Date && end instanceof Date && start.getTime() > end.getTime()) {
+      throw new ConfigError(`${label}: The window starts after it ends (${start} > ${end}).`);
+    }
+    if (start) {
+      stop.start_at = start;
+    }
+    if (end) {
+      stop.end_at = end;
+    }
+    if (options.commodities) {
+      if (!Array.isArray(options.commodities)) {
+        throw new ConfigError(`${label}: commodities must be an array.`);
+      }
+      stop.commodities = options.commodities.map(commodity => Object.assign({}, commodity));
+    }
+    if (options.notes) {
+      stop.notes = options.notes;
+    }
+
+    this.stops.push(stop);
+    return this;
+  }
+
+  /**
+   * Accepts a Date or an ISO 8601 string (used as is).
+   *
+   * @param {string} label Prefix for error messages.
+   * @param {string} name The option name (for error messages).
+   * @param {Date|string} [value] The date.
+   * @returns {Date|string|null} The validated value, or null if not given.
+   * @private
+   */
+  validateDate_(label, name, value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        throw new ConfigError(`${label}: Invalid ${name} date.`);
+      }
+      return value;
+    }
+    if (!ISO_DATETIME_REGEX.test(String(value))) {
+      throw new ConfigError(`${label}: Invalid ${name} date '${value}'. Use a Date or an ISO 8601 date-time with timezone.`);
+    }
+    return String(value);
+  }
+
+  /**
+   * @param {*} value A field value.
+   * @returns {*} The value, with Date values formatted in the builder timezone.
+   * @private
+   */
+  formatValue_(value) {
+    return value instanceof Date ? Utilities.formatDate(value, this.zone, ORDER_APPOINTMENT_DATE_FORMAT) : value;
+  }
+
+  /**
+   * @param {string} instanceName The name of the Rose Rocket instance.
+   * @param {string} name The name of the address book entry.
+   * @param {number} index The stop index (for error messages).
+   * @param {object} addressCache Entries already resolved in this build, by lowercase name.
+   * @returns {object} The address of the entry.
+   * @private
+   */
+  resolveAddressBook_(instanceName, name, index, addressCache) {
+    if (!instanceName || !this.addressBookLocationId) {
+      throw new ConfigError(`MultiStopOrderBuilder: stops[${index}] uses the address book entry '${name}': call addressBook(locationId) and pass the instance name to build().`);
+    }
+    try {
+      return lookupAddressBookEntry_(instanceName, this.addressBookLocationId, name, addressCache);
+    } catch (e) {
+      throw new ConfigError(`MultiStopOrderBuilder: stops[${index}]: ${e.message}`, { instance: instanceName });
+    }
+  }
+}
+
+
+/**
+ * Returns a new MultiStopOrderBuilder (library consumers can't call `new` on library classes).
+ *
+ * @param {string} [timeZone] Timezone used to format Date values (defaults to the script timezone).
+ * @returns {MultiStopOrderBuilder} A new builder.
+ */
+function newMultiStopOrderBuilder(timeZone) {
+  return new MultiStopOrderBuilder(timeZone);
+}
+
+/**
+ * Creates a multi-stop order for a customer.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const builder = newMultiStopOrderBuilder()
+ *   .billingOption('prepaid')
+ *   .pickup(originLocationId, { start: pickupStart, end: pickupEnd })
+ *   .delivery(firstDropAddress, { start: firstDropStart })
+ *   .delivery(secondDropAddress, { start: secondDropStart });
+ * const result = createMultiStopOrder(Instance.AMADO, customerId, builder);
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {MultiStopOrderBuilder|object} orderData A builder, or the raw payload of the
+ *   `multistop_orders` endpoint (see MULTI_STOP_ORDER_SCHEMA).
+ * @param {object} [options]
+ * @param {boolean} [options.validate=true] Validate the payload before sending it (see validateOrderPayload()).
+ * @param {boolean} [options.dryRun=false] Only build and validate: nothing is sent and
+ *   `{ dryRun, valid, errors, payload }` is returned.
+ * @returns {object|null} The API response, or null on error.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function createMultiStopOrder(instanceName, customerId, orderData, options = {}) {
+  const label = 'createMultiStopOrder';
+
+  let payload = orderData;
+  if (orderData instanceof MultiStopOrderBuilder) {
+    try {
+      payload = orderData.build(instanceName);
+    } catch (e) {
+      return reportRoseRocketError(e instanceof RoseRocketError ? e : new ConfigError(`${label}: ${e.message}`, { instance: instanceName }));
+    }
+  }
+
+  const check = checkOrderPayload_(label, instanceName, payload, OrderPayloadType.MULTI_STOP, {
+    validate: options.validate !== false,
+    dryRun: options.dryRun,
+  });
+  if (!check.proceed) {
+    return check.value;
+  }
+
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/customers/${customerId}/multistop_orders`, payload, {
+    label: label,
+    resourceName: 'Customer',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  Logger.log(`${label}: Created multi-stop order with ${(payload.stops || []).length} stop(s) for customer ${customerId}.`);
+  return result.data;
+}
+
+/**
+ * Reads a multi-stop order and its child orders.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {string} multistopOrderId The multi-stop order ID (the `multistop_order_id` of its child orders).
+ * @returns {object|null} { multistopOrder, orders } — `orders` are the child orders as returned by
+ *   getOrderDetails(), in the order listed by the multi-stop order — or null if any read fails.
+ */
+function getMultiStopOrder(instanceName, customerId, multistopOrderId) {
+  const label = 'getMultiStopOrder';
+  const result = getRoseRocketClient(instanceName).get(`/api/v1/customers/${customerId}/multistop_orders/${multistopOrderId}`, {
+    label: label,
+    resourceName: 'Order',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+
+  const multistopOrder = result.data && result.data.multistop_order ? result.data.multistop_order : result.data;
+  const orderIds = getChildOrderIds_(multistopOrder);
+  const orders = [];
+  for (const orderId of orderIds) {
+    const order = getOrderDetails(instanceName, orderId);
+    if (!order) {
+      Logger.log(`${label}: Could not read child order ${orderId} of multi-stop order ${multistopOrderId}.`);
+      return null;
+    }
+    orders.push(order);
+  }
+
+  Logger.log(`${label}: Multi-stop order ${multistopOrderId} has ${orders.length} child order(s).`);
+  return { multistopOrder: multistopOrder, orders: orders };
+}
+
+/**
+ * Returns the stop type enum.
+ * @returns {object} The StopType enum.
+ */
+function getStopTypeEnum() {
+  return StopType;
+}
+
+/**
+ * The multi-stop order lists its child orders either as objects (`orders`) or as IDs (`order_ids`).
+ *
+ * @param {object} multistopOrder The multi-stop order.
+ * @returns {Array<string>} The child order IDs.
+ * @private
+ */
+function getChildOrderIds_(multistopOrder) {
+  if (multistopOrder && Array.isArray(multistopOrder.orders)) {
+    return multistopOrder.orders.map(order => (typeof order === 'object' ? order.id : order)).filter(id => id);
+  }
+  if (multistopOrder && Array.isArray(multistopOrder.order_ids)) {
+    return multistopOrder.order_ids.slice();
+  }
+  return [];
+}
+
+
+/**
+ * Example usage of the MultiStopOrderBuilder (dry run, nothing is created).
+ */
+function testMultiStopOrderBuilder() {
+  const instanceName = Instance.AMADO;
+  const customerId = '7caf07d5-8667-4d8a-aaa3-72180c6ac095'; // Replace!
+
+  const builder = newMultiStopOrderBuilder()
+    .billingOption('prepaid')
+    .refNum('MULTISTOP-TEST')
+    .pickup({ address_1: '525 West Monroe Street', city: 'Chicago', state: 'IL', postal: '60661', country: 'US' }, {
+      start: new Date(2025, 2, 1, 8, 0),
+      end: new Date(2025, 2, 1, 12, 0),
+      commodities: [{ commodity_type: 'pallet', description: 'Example Commodity', quantity: 2 }],
+    })
+    .delivery({ address_1: '1 Presidents Choice Circle', city: 'Brampton', state: 'ON', postal: 'L6Y 5S5', country: 'CA' }, {
+      start: new Date(2025, 2, 2, 8, 0),
+      end: new Date(2025, 2, 2, 17, 0),
+      commodities: [{ commodity_type: 'pallet', description: 'Example Commodity', quantity: 1 }],
+    })
+    .delivery({ address_1: '100 King Street West', city: 'Toronto', state: 'ON', postal: 'M5X 1A9', country: 'CA' }, {
+      start: new Date(2025, 2, 3, 8, 0),
+      commodities: [{ commodity_type: 'pallet', description: 'Example Commodity', quantity: 1 }],
+    });
+
+  const dryRun = builder.create(instanceName, customerId, { dryRun: true });
+  Logger.log(`Valid: ${dryRun && dryRun.valid}. Errors: ${dryRun ? JSON.stringify(dryRun.errors) : 'N/A'}`);
+  Logger.log(JSON.stringify(dryRun && dryRun.payload, null, 2));
+}
@@ -0,0 +1,297 @@
+/**
+ * Filters accepted by the find-orders endpoint (GET /api/v1/orders).
+ * See https://roserocket.readme.io/v1.0/reference/find-orders
+ *
+ * type: 'string' (single value), 'list' (comma-separated values) or 'date'
+ * (Date objects are formatted as 'yyyy-MM-dd HH:mm:ss' in the builder timezone).
+ */
+const ORDER_SEARCH_FILTERS = {
+  search_term: 'string',
+  in_status_ids: 'list',
+  customer_id: 'string',
+  public_id: 'string',
+  external_id: 'string',
+  ref_num: 'string',
+  po_num: 'string',
+  tag_ids: 'list',
+  created_start_at: 'date',
+  created_end_at: 'date',
+  updated_start_at: 'date',
+  updated_end_at: 'date',
+  pickup_start_at: 'date',
+  pickup_end_at: 'date',
+  delivery_start_at: 'date',
+  delivery_end_at: 'date',
+  sort: 'string',
+};
+
+const ORDER_SEARCH_DATE_FORMAT = 'yyyy-MM-dd HH:mm:ss';
+
+/**
+ * OrderQueryBuilder class: builds the query string of searchOrders() without
+ * hand-encoding it.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const orders = newOrderQueryBuilder()
+ *   .status('delivered', 'in-transit')
+ *   .createdBetween(new Date('2025-02-01'), new Date('2025-02-14'))
+ *   .customer('0a5c...')
+ *   .search(Instance.AMADO);
+ *
+ * // Same as searchOrders('in_status_ids=delivered,in-transit&created_start_at=2025-02-01%2000%3A00%3A00&...', Instance.AMADO)
+ * ```
+ *
+ * Unknown filters and invalid values throw a ConfigError as soon as they are set.
+ */
+class OrderQueryBuilder {
+  /**
+   * @param {string} [timeZone] Timezone used to format Date values (defaults to the script timezone).
+   * @constructor
+   */
+  constructor(timeZone) {
+    this.filters = {};
+    this.zone = timeZone || Session.getScriptTimeZone();
+  }
+
+  /**
+   * Sets the timezone used to format Date values (they are formatted when the query is built).
+   *
+   * @param {string} timeZone A timezone ID (e.g., 'America/Mexico_City', 'UTC').
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  timeZone(timeZone) {
+    this.zone = timeZone;
+    return this;
+  }
+
+  /**
+   * Sets any filter of ORDER_SEARCH_FILTERS. Null, undefined or empty values remove the filter.
+   *
+   * @param {string} filter The filter name (e.g., 'ref_num').
+   * @param {string|number|Date|Array<string>} value The filter value.
+   * @returns {OrderQueryBuilder} This builder.
+   * @throws {ConfigError} If the filter is unknown or the value doesn't match its type.
+   */
+  where(filter, value) {
+    const type = ORDER_SEARCH_FILTERS[filter];
+    if (!type) {
+      throw new ConfigError(`OrderQueryBuilder: Unknown filter '${filter}'. Use one of: ${Object.keys(ORDER_SEARCH_FILTERS).join(', ')}`);
+    }
+
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete this.filters[filter];
+      return this;
+    }
+
+    if (type === 'list') {
+      this.filters[filter] = (Array.isArray(value) ? value : [value]).map(item => String(item));
+    } else if (type === 'date') {
+      this.filters[filter] = this.validateDate_(filter, value);
+    } else {
+      if (Array.isArray(value) || typeof value === 'object') {
+        throw new ConfigError(`OrderQueryBuilder: Filter '${filter}' expects a single value.`);
+      }
+      this.filters[filter] = String(value);
+    }
+    return this;
+  }
+
+  /**
+   * @param {...string|Array<string>} statusIds Status IDs (e.g., 'delivered', 'in-transit').
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  status(...statusIds) {
+    return this.where('in_status_ids', [].concat(...statusIds));
+  }
+
+  /**
+   * @param {Date|string} [start] Start of the range (inclusive). Omit to leave it open.
+   * @param {Date|string} [end] End of the range. Omit to leave it open.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  createdBetween(start, end) {
+    return this.setRange_('created', start, end);
+  }
+
+  /**
+   * @param {Date|string} [start] Start of the range. Omit to leave it open.
+   * @param {Date|string} [end] End of the range. Omit to leave it open.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  updatedBetween(start, end) {
+    return this.setRange_('updated', start, end);
+  }
+
+  /**
+   * @param {Date|string} [start] Start of the range. Omit to leave it open.
+   * @param {Date|string} [end] End of the range. Omit to leave it open.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  pickupBetween(start, end) {
+    return this.setRange_('pickup', start, end);
+  }
+
+  /**
+   * @param {Date|string} [start] Start of the range. Omit to leave it open.
+   * @param {Date|string} [end] End of the range. Omit to leave it open.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  deliveryBetween(start, end) {
+    return this.setRange_('delivery', start, end);
+  }
+
+  /**
+   * @param {string} customerId The customer ID.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  customer(customerId) {
+    return this.where('customer_id', customerId);
+  }
+
+  /**
+   * @param {string} publicId The public ID of the order (e.g., 'ATHN-TAY-4248').
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  publicId(publicId) {
+    return this.where('public_id', publicId);
+  }
+
+  /**
+   * @param {string} refNum The reference number.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  refNum(refNum) {
+    return this.where('ref_num', refNum);
+  }
+
+  /**
+   * @param {string} poNum The PO number.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  poNum(poNum) {
+    return this.where('po_num', poNum);
+  }
+
+  /**
+   * @param {...string|Array<string>} tagIds Tag IDs.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  tags(...tagIds) {
+    return this.where('tag_ids', [].concat(...tagIds));
+  }
+
+  /**
+   * @param {string} term Free text search.
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  searchTerm(term) {
+    return this.where('search_term', term);
+  }
+
+  /**
+   * @param {string} sort The sort expression, as accepted by the API (e.g., 'created_at').
+   * @returns {OrderQueryBuilder} This builder.
+   */
+  sort(sort) {
+    return this.where('sort', sort);
+  }
+
+  /**
+   * @returns {object} The filters with Date values formatted, ready for RoseRocketClient.encodeQuery().
+   */
+  toObject() {
+    const query = {};
+    for (const filter in this.filters) {
+      if (this.filters.hasOwnProperty(filter)) {
+        const value = this.filters[filter];
+        query[filter] = value instanceof Date ? Utilities.formatDate(value, this.zone, ORDER_SEARCH_DATE_FORMAT) : value;
+      }
+    }
+    return query;
+  }
+
+  /**
+   * @returns {string} The encoded query string (the `queryParams` of searchOrders()).
+   */
+  build() {
+    return RoseRocketClient.encodeQuery(this.toObject());
+  }
+
+  /**
+   * Runs the search with searchOrders().
+   *
+   * @param {string} instanceName The name of the Rose Rocket instance.
+   * @param {object} [options] Paging options (see searchOrders()).
+   * @returns {Array<object>|object|null} The result of searchOrders().
+   */
+  search(instanceName, options) {
+    return searchOrders(this.build(), instanceName, options);
+  }
+
+  /**
+   * @param {string} prefix The date filter prefix ('created', 'updated', 'pickup' or 'delivery').
+   * @param {Date|string} [start] Start of the range.
+   * @param {Date|string} [end] End of the range.
+   * @returns {OrderQueryBuilder} This builder.
+   * @private
+   */
+  setRange_(prefix, start, end) {
+    this.where(`${prefix}_start_at`, start);
+    this.where(`${prefix}_end_at`, end);
+
+    const startValue = this.filters[`${prefix}_start_at`];
+    const endValue = this.filters[`${prefix}_end_at`];
+    if (startValue instanceof Date && endValue instanceof Date && startValue.getTime() > endValue.getTime()) {
+      throw new ConfigError(`OrderQueryBuilder: ${prefix} range starts after it ends (${startValue} > ${endValue}).`);
+    }
+    return this;
+  }
+
+  /**
+   * Accepts a Date, or a string in 'yyyy-MM-dd' or 'yyyy-MM-dd HH:mm:ss' format (used as is).
+   *
+   * @param {string} filter The filter name (for error messages).
+   * @param {Date|string} value The date.
+   * @returns {Date|string} The validated value.
+   * @private
+   */
+  validateDate_(filter, value) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        throw new ConfigError(`OrderQueryBuilder: Invalid date for '${filter}'.`);
+      }
+      return value;
+    }
+    const match = /^(\d{4}-\d{2}-\d{2})( \d{2}:\d{2}:\d{2})?$/.exec(String(value));
+    if (!match) {
+      throw new ConfigError(`OrderQueryBuilder: Invalid date '${value}' for '${filter}'. Use a Date or '${ORDER_SEARCH_DATE_FORMAT}'.`);
+    }
+    return match[2] ? match[0] : `${match[1]} 00:00:00`;
+  }
+}
+
+
+/**
+ * Returns a new OrderQueryBuilder (library consumers can't call `new` on library classes).
+ *
+ * @param {string} [timeZone] Timezone used to format Date values (defaults to the script timezone).
+ * @returns {OrderQueryBuilder} A new builder.
+ */
+function newOrderQueryBuilder(timeZone) {
+  return new OrderQueryBuilder(timeZone);
+}
+
+
+/**
+ * Example usage of the OrderQueryBuilder. Builds the same query as QUERY in orders_search.js.
+ */
+function testOrderQueryBuilder() {
+  const builder = newOrderQueryBuilder()
+    .status('delivered')
+    .createdBetween('2025-02-14');
+
+  Logger.log(`Query: ${builder.build()}`);
+  const orders = builder.search(Instance.AMADO, { maxItems: 10 });
+  Logger.log(`Orders found: ${orders ? orders.length : 'error'}`);
+}
@@ -0,0 +1,241 @@
+/**
+ * Quoting before booking: request a quote for a draft order, compare the rate options
+ * returned (carrier, service, charges) and book the chosen one.
+ *
+ * A quote uses the same payload as createOrder() (see SINGLE_ORDER_SCHEMA). The options are
+ * normalized by listQuoteOptions(), so a pricing sheet can compare lanes without knowing the
+ * shape of the quote response.
+ */
+
+
+/**
+ * Requests a quote for a draft order.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const quote = requestOrderQuote(Instance.AMADO, customerId, orderData);
+ * if (quote) {
+ *   quote.options.forEach(o => Logger.log(`${o.carrier} ${o.service}: ${o.total} ${o.currency}`));
+ *   const booked = bookQuote(Instance.AMADO, quote.quote.id, quote.options[0].id);
+ * }
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {object} orderData The draft order (same payload as createOrder()).
+ * @param {object} [options]
+ * @param {boolean} [options.validate=true] Validate the payload before sending it (see validateOrderPayload()).
+ * @param {boolean} [options.dryRun=false] Only validate: nothing is sent and `{ dryRun, valid, errors, payload }` is returned.
+ * @returns {object|null} { quote, options } — `quote` is the quote returned by Rose Rocket and
+ *   `options` its rate options sorted by total (see listQuoteOptions()) — or null on error.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function requestOrderQuote(instanceName, customerId, orderData, options = {}) {
+  const label = 'requestOrderQuote';
+  const check = checkOrderPayload_(label, instanceName, orderData, OrderPayloadType.SINGLE, {
+    validate: options.validate !== false,
+    dryRun: options.dryRun,
+  });
+  if (!check.proceed) {
+    return check.value;
+  }
+
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/customers/${customerId}/quotes`, orderData, {
+    label: label,
+    resourceName: 'Customer',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+
+  const quote = getQuoteFromResult_(label, instanceName, result);
+  if (!quote) {
+    return null; // Error already reported
+  }
+  const quoteOptions = listQuoteOptions(quote);
+  Logger.log(`${label}: Quote ${quote.id} for customer ${customerId} has ${quoteOptions.length} option(s).`);
+  return { quote: quote, options: quoteOptions };
+}
+
+/**
+ * Reads an existing quote.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} quoteId The quote ID.
+ * @returns {object|null} { quote, options } (see requestOrderQuote()), or null on error.
+ */
+function getQuote(instanceName, quoteId) {
+  const result = getRoseRocketClient(instanceName).get(`/api/v1/quotes/${quoteId}`, {
+    label: 'getQuote',
+    resourceName: 'Quote',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+
+  const quote = getQuoteFromResult_('getQuote', instanceName, result);
+  if (!quote) {
+    return null; // Error already reported
+  }
+  return { quote: quote, options: listQuoteOptions(quote) };
+}
+
+/**
+ * Lists the rate options of a quote in a flat shape, sorted by total (cheapest first).
+ *
+ * @param {object} quote The quote (as returned in `requestOrderQuote().quote`).
+ * @returns {Array<object>} The options: { id, carrier, service, total, currency, transitDays,
+ *   charges: [{ name, amount }] }. `total` is the sum of the charges when the rate has no numeric
+ *   total, or null when it has no charges either (those options are sorted last).
+ */
+function listQuoteOptions(quote) {
+  const rates = quote ? quote.rates || quote.quote_rates || quote.options || [] : [];
+  return rates.map(rate => {
+    const charges = (rate.charges || rate.line_items || []).map(charge => ({
+      name: charge.name || charge.description || charge.type || '',
+      amount: Number(charge.amount !== undefined ? charge.amount : charge.total) || 0,
+    }));
+    const rawTotal = rate.total !== undefined && rate.total !== null ? rate.total : rate.total_amount;
+    const quotedTotal = rawTotal === undefined || rawTotal === null || rawTotal === '' ? NaN : Number(rawTotal);
+    let total = null;
+    if (!isNaN(quotedTotal)) {
+      total = quotedTotal;
+    } else if (charges.length > 0) {
+      total = charges.reduce((sum, charge) => sum + charge.amount, 0);
+    }
+    return {
+      id: rate.id,
+      carrier: (rate.carrier && (rate.carrier.name || rate.carrier.short_code)) || rate.carrier_name || getStringOrEmpty_(rate.carrier),
+      service: (rate.service && rate.service.name) || rate.service_name || getStringOrEmpty_(rate.service),
+      total: total,
+      currency: rate.currency || (quote && quote.currency) || '',
+      transitDays: rate.transit_days !== undefined ? rate.transit_days : null,
+      charges: charges,
+    };
+  }).sort((a, b) => {
+    if (a.total === null || b.total === null) {
+      return (a.total === null ? 1 : 0) - (b.total === null ? 1 : 0); // Options without a total go last
+    }
+    return a.total - b.total;
+  });
+}
+
+/**
+ * Books a rate option of a quote: Rose Rocket creates the order with that rate.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} quoteId The quote ID.
+ * @param {string} optionId The ID of the chosen option (see listQuoteOptions()).
+ * @returns {object|null} The API response (the booked order), or null on error.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function bookQuote(instanceName, quoteId, optionId) {
+  const label = 'bookQuote';
+  if (!optionId) {
+    return reportRoseRocketError(new ConfigError(`${label}: An option ID is required to book quote ${quoteId}.`, { instance: instanceName }));
+  }
+
+  const result = getRoseRocketClient(instanceName).post(`/api/v1/quotes/${quoteId}/book`, { rate_id: optionId }, {
+    label: label,
+    resourceName: 'Quote',
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  Logger.log(`${label}: Booked option ${optionId} of quote ${quoteId}.`);
+  return result.data;
+}
+
+/**
+ * Requests a quote for each draft order and summarizes the options, one entry per draft,
+ * so a pricing sheet can compare lanes. A failed quote doesn't stop the others.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const results = quoteLanes(Instance.AMADO, customerId, [chicagoToBrampton, chicagoToMontreal]);
+ * sheet.getRange(2, 1, results.length, 4).setValues(results.map(r =>
+ *   [r.quoteId, r.cheapest ? r.cheapest.carrier : '', r.cheapest ? r.cheapest.total : '', r.error || '']));
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} customerId The customer ID.
+ * @param {Array<object>} drafts The draft orders.
+ * @param {object} [options] See requestOrderQuote() (validate).
+ * @returns {Array<object>} { index, quoteId, options, cheapest, error } per draft — `cheapest` is
+ *   the first option (or null) and `error` a message when the quote failed.
+ */
+function quoteLanes(instanceName, customerId, drafts, options = {}) {
+  return drafts.map((draft, index) => {
+    let quote = null;
+    let error = null;
+    try {
+      quote = requestOrderQuote(instanceName, customerId, draft, { validate: options.validate });
+    } catch (e) {
+      error = e.message; // ErrorMode.THROW: keep quoting the other lanes
+    }
+    if (!quote && !error) {
+      error = 'Quote failed (see the logs).';
+    }
+    return {
+      index: index,
+      quoteId: quote ? quote.quote.id : null,
+      options: quote ? quote.options : [],
+      cheapest: quote && quote.options.length > 0 ? quote.options[0] : null,
+      error: error,
+    };
+  });
+}
+
+
+/**
+ * Reads the quote of a successful response. A 2xx without a quote (empty or non-JSON body)
+ * is reported as a ServerError.
+ *
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} result The RoseRocketClient result.
+ * @returns {object|null} The quote, or null if the response has none.
+ * @private
+ */
+function getQuoteFromResult_(label, instanceName, result) {
+  const quote = result.data && result.data.quote ? result.data.quote : result.data;
+  if (!quote || !quote.id) {
+    return reportRoseRocketError(new ServerError(`${label}: The response has no quote. Response: ${result.body}`, {
+      instance: instanceName,
+      statusCode: result.status,
+      responseBody: result.body,
+    }));
+  }
+  return quote;
+}
+
+/**
+ * @param {*} value A field that is a name, or an object without one.
+ * @returns {string} The value if it is a string, otherwise ''.
+ * @private
+ */
+function getStringOrEmpty_(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Example usage of requestOrderQuote() (the quote is not booked).
+ */
+function testRequestOrderQuote() {
+  const instanceName = Instance.AMADO;
+  const customerId = '7caf07d5-8667-4d8a-aaa3-72180c6ac095'; // Replace!
+  const orderData = {
+    origin: { address_1: '525 West Monroe Street', city: 'Chicago', state: 'IL', postal: '60661', country: 'US' },
+    destination: { address_1: '1 Presidents Choice Circle', city: 'Brampton', state: 'ON', postal: 'L6Y 5S5', country: 'CA' },
+    billing_option: 'prepaid',
+    commodities: [{ commodity_type: 'pallet', description: 'Example Commodity', quantity: 1 }],
+  };
+
+  const quote = requestOrderQuote(instanceName, customerId, orderData);
+  if (quote) {
+    quote.options.forEach(option => {
+      Logger.log(`${option.id}: ${option.carrier} / ${option.service} = ${option.total} ${option.currency}`);
+      option.charges.forEach(charge => Logger.log(`    ${charge.name}: ${charge.amount}`));
+    });
+  }
+}
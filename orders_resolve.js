@@ -0,0 +1,174 @@
+/**
+ * Resolves what users know about an order (public ID, PO or reference number, container
+ * number, external ID) to a single order.
+ */
+
+// --- Order identifier kind enum ---
+const OrderIdentifierKind = {
+  ORDER_ID: 'order_id',       // Internal UUID (getOrderByOrderId())
+  EXTERNAL_ID: 'external_id', // 'ext:...' IDs, read directly like an order ID
+  PUBLIC_ID: 'public_id',     // e.g., ATHN-TAY-4158 (searched as a reference if no public ID matches)
+  CONTAINER: 'container',     // ISO 6346 container number, e.g., CAAU5142250
+  REFERENCE: 'reference',     // Anything else: searched as ref_num and po_num
+};
+
+const ORDER_IDENTIFIER_PATTERNS = {
+  order_id: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  external_id: /^ext:.+/i,
+  public_id: /^[A-Z]{2,}(-[A-Z0-9]+)*-\d+$/i,
+  container: /^[A-Z]{3}[UJZ]\d{7}$/i, // Owner code + category + serial number + check digit
+};
+
+// Most candidates read from a search before the result is reported as ambiguous
+const MAX_RESOLVE_CANDIDATES = 20;
+
+
+/**
+ * Finds the single order matching an identifier, detecting what kind of identifier it is
+ * (see OrderIdentifierKind).
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * setErrorMode(ErrorMode.THROW);
+ * try {
+ *   const order = resolveOrder(Instance.AMADO, 'ATHN-TAY-4158'); // Also 'PO-778812', 'CAAU5142250', 'ext:ABC'...
+ *   Logger.log(order.id);
+ * } catch (e) {
+ *   if (e.name === RoseRocketErrorType.AMBIGUOUS) {
+ *     e.candidates.forEach(c => Logger.log(`${c.public_id} (${c.status})`));
+ *   }
+ * }
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} identifier The identifier.
+ * @param {object} [options]
+ * @param {string} [options.kind] Skip the detection and use this kind (see OrderIdentifierKind).
+ * @returns {object|null} The order (as returned by getOrderDetails() for IDs, or by the search
+ *   otherwise), or null if none or several orders match.
+ * @throws {NotFoundError} If no order matches, when the error mode is ErrorMode.THROW.
+ * @throws {AmbiguousResultError} If several orders match (`candidates` lists them), when the
+ *   error mode is ErrorMode.THROW.
+ */
+function resolveOrder(instanceName, identifier, options = {}) {
+  const label = 'resolveOrder';
+  const value = String(identifier || '').trim();
+  if (!value) {
+    return reportRoseRocketError(new ConfigError(`${label}: An identifier is required.`, { instance: instanceName }));
+  }
+
+  const kind = options.kind || detectOrderIdentifierKind(value);
+  if (Object.values(OrderIdentifierKind).indexOf(kind) === -1) {
+    return reportRoseRocketError(new ConfigError(`${label}: Unknown identifier kind '${kind}'. Use one of: ${Object.values(OrderIdentifierKind).join(', ')}`, { instance: instanceName }));
+  }
+
+  if (kind === OrderIdentifierKind.ORDER_ID || kind === OrderIdentifierKind.EXTERNAL_ID) {
+    const result = getRoseRocketClient(instanceName).get(`/api/v1/orders/${encodeURIComponent(value)}`, {
+      label: label,
+      resourceName: 'Order',
+    });
+    if (!result.ok) {
+      return null; // Error already logged by the client (404 included)
+    }
+    return result.data && result.data.order ? result.data.order : result.data;
+  }
+
+  const candidates = findOrderCandidates_(instanceName, kind, value);
+  if (candidates === null) {
+    return null; // Search failed (already logged)
+  }
+  if (candidates.length === 0) {
+    return reportRoseRocketError(new NotFoundError(`${label}: No order found for ${kind} '${value}'.`, { instance: instanceName }));
+  }
+  if (candidates.length > 1) {
+    const summaries = candidates.map(order => ({
+      id: order.id,
+      public_id: order.public_id,
+      ref_num: order.ref_num || null,
+      po_num: order.po_num || null,
+      status: order.status,
+    }));
+    return reportRoseRocketError(new AmbiguousResultError(
+      `${label}: ${candidates.length} orders match ${kind} '${value}': ${summaries.map(c => c.public_id || c.id).join(', ')}`,
+      { instance: instanceName, candidates: summaries }));
+  }
+
+  Logger.log(`${label}: ${kind} '${value}' is order ${candidates[0].public_id} (${candidates[0].id}).`);
+  return candidates[0];
+}
+
+/**
+ * Detects the kind of an order identifier from its format.
+ *
+ * @param {string} identifier The identifier.
+ * @returns {string} The kind (see OrderIdentifierKind). Identifiers that match no known
+ *   format are OrderIdentifierKind.REFERENCE.
+ */
+function detectOrderIdentifierKind(identifier) {
+  const value = String(identifier || '').trim();
+  for (const kind in ORDER_IDENTIFIER_PATTERNS) {
+    if (ORDER_IDENTIFIER_PATTERNS.hasOwnProperty(kind) && ORDER_IDENTIFIER_PATTERNS[kind].test(value)) {
+      return kind;
+    }
+  }
+  return OrderIdentifierKind.REFERENCE;
+}
+
+/**
+ * Returns the order identifier kind enum.
+ * @returns {object} The OrderIdentifierKind enum.
+ */
+function getOrderIdentifierKindEnum() {
+  return OrderIdentifierKind;
+}
+
+/**
+ * Searches the orders matching an identifier with the endpoint of its kind. Searches by
+ * field can match partially, so only exact (case-insensitive) matches are kept.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} kind The identifier kind (public_id, container or reference).
+ * @param {string} value The identifier.
+ * @returns {Array<object>|null} The matching orders (deduplicated by ID), or null if a search failed.
+ * @private
+ */
+function findOrderCandidates_(instanceName, kind, value) {
+  if (kind === OrderIdentifierKind.CONTAINER) {
+    // The two_stage search is the only one that looks at container numbers
+    const orders = findOrdersByContainerId(instanceName, value.toUpperCase());
+    return orders ? orders.slice(0, MAX_RESOLVE_CANDIDATES) : null;
+  }
+
+  const fields = kind === OrderIdentifierKind.PUBLIC_ID ? ['public_id'] : ['ref_num', 'po_num'];
+  const byId = {};
+  for (const field of fields) {
+    const orders = newOrderQueryBuilder().where(field, value).search(instanceName, { maxItems: MAX_RESOLVE_CANDIDATES });
+    if (!orders) {
+      return null;
+    }
+    orders
+      .filter(order => String(order[field] || '').toLowerCase() === value.toLowerCase())
+      .forEach(order => { byId[order.id] = order; });
+  }
+  const candidates = Object.keys(byId).map(id => byId[id]);
+
+  // References like 'PO-12345' have the format of a public ID
+  if (candidates.length === 0 && kind === OrderIdentifierKind.PUBLIC_ID) {
+    return findOrderCandidates_(instanceName, OrderIdentifierKind.REFERENCE, value);
+  }
+  return candidates;
+}
+
+
+/**
+ * Example usage of resolveOrder() with each kind of identifier.
+ */
+function testResolveOrder() {
+  const instanceName = Instance.AMADO;
+  const identifiers = ['ATHN-TAY-4158', 'CAAU5142250', 'e2f29b55-9e6a-4883-9c8a-1f1f0d8901a5', 'PO-12345']; // Replace!
+
+  identifiers.forEach(identifier => {
+    const order = resolveOrder(instanceName, identifier);
+    Logger.log(`${identifier} (${detectOrderIdentifierKind(identifier)}): ${order ? `${order.public_id} / ${order.id}` : 'not resolved'}`);
+  });
+}
@@ -3,8 +3,8 @@
  * Esta función realiza múltiples solicitudes a la API para obtener todas las órdenes que coincidan 
  * con los parámetros de consulta especificados, utilizando paginación con `limit` y `offset`.
  *
- * La función llama a `getAccessTokenForInstance(instance)` para obtener un token de autenticación 
- * válido antes de realizar las solicitudes a la API.
+ * Las solicitudes pasan por `RoseRocketClient`, que obtiene un token válido con 
+ * `getAccessTokenForInstance(instance)` antes de llamar a la API.
  *
  * ### Ejemplo de Uso:
  * ```javascript
@@ -14,11 +14,22 @@
  * Logger.log('Total de órdenes obtenidas: ' + orders.length);
  * ```
  *
+ * Para no codificar los parámetros a mano, use `newOrderQueryBuilder()` (orders_querybuilder.js):
+ * `newOrderQueryBuilder().status('delivered').createdBetween(new Date(2025, 1, 14)).search(instance)`.
+ *
+ * La paginación la hace `paginate()` (paginator.js). Con `options` se puede limitar la búsqueda
+ * (`maxItems`, `maxPages`, `stopWhen`), reanudarla (`startOffset`) o procesarla página por página (`onPage`):
+ * ```javascript
+ * var summary = searchOrders(queryParams, instance, {
+ *   onPage: function(orders, page) { Logger.log(page.offset + ': ' + orders.length); },
+ * });
+ * ```
+ *
  * ### Flujo de la Función:
- * 1. Se valida que la instancia proporcionada exista en la constante `INSTANCES`.
- * 2. Se obtiene la primera página de resultados con `offset=0`.
+ * 1. Se valida que la instancia proporcionada exista en `instanceManager` (a través de `RoseRocketClient`).
+ * 2. Se obtiene la primera página de resultados con `offset=0` (o `options.startOffset`).
  * 3. Se extrae el total de órdenes desde la respuesta de la API.
- * 4. Se realizan solicitudes adicionales incrementando `offset` hasta obtener todas las órdenes.
+ * 4. Se realizan solicitudes adicionales incrementando `offset` hasta obtener todas las órdenes (o hasta alcanzar un límite de `options`).
  * 5. Se maneja cualquier error de API o red de forma segura, registrando los problemas en los logs.
  *
  * ### Ejemplo de Respuesta de la API:
@@ -40,91 +51,19 @@
  * @author mario.estrella@amadotrucking.com
  * @lastModified 2025-02-13 (YYYY-MM-DD)
  * @param {string} queryParams Parámetros de consulta para filtrar órdenes (ej. `created_end_at=2025-02-01%2000%3A00%3A00&in_status_ids=delivered`). ver https://roserocket.readme.io/v1.0/reference/find-orders
- * @param {string} instance La instancia para la autenticación (debe existir en `INSTANCES`).
- * @return {Array<Object>} Un arreglo con todas las órdenes recuperadas de la API, o `null` si la instancia no es válida.
+ * @param {string} instance La instancia para la autenticación (debe existir en `instanceManager`).
+ * @param {object} [options] Opciones de paginación de `paginate()` (pageSize, maxItems, maxPages, startOffset, stopWhen, onPage).
+ * @return {Array<Object>|Object} Un arreglo con todas las órdenes recuperadas de la API (o el resumen de `paginate()` si se usa `onPage`),
+ *   o `null` si la instancia no es válida o la API falla.
  */
-function searchOrders(queryParams, instance) {
-  // Check if the provided instance is a valid enum value
-  if (!Object.values(Instance).includes(instance)) {
-    Logger.log(`Error: Invalid instance: ${instance}. Use one of: ${Object.values(Instance).join(', ')}`);
-    return null;
-  }
-
-  const instanceConfig = INSTANCES[instance];
-  const apiUrlBase = 'https://platform.roserocket.com/api/v1/orders';
-  const limit = 50;
-  let offset = 0;
-  let allOrders = [];
-  let totalOrders = 0;
-  let totalCalls = 0;
-
-  const accessToken = getAccessTokenForInstance(instance);
-
-  do {
-   const apiUrl = `${apiUrlBase}?${queryParams}&limit=${limit}&offset=${offset}`;
-   Logger.log(`Fetching: ${apiUrl}`);
-
-    // Get the access token using the configuration
-    const accessToken = getAccessTokenForInstance(instance);
-
-    const response = UrlFetchApp.fetch(apiUrl, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-      },
-      muteHttpExceptions: true // Important for handling API errors
-    });
-
-    // Check API response status before parsing JSON
-    if (response.getResponseCode() !== 200) {
-      Logger.log(`API Error: ${response.getResponseCode()} - ${response.getContentText()}`);
-      return null;
-    }
-
-    totalCalls++;
-    Logger.log(`Total API Calls: ${totalCalls}`);
-
-    const jsonResponse = JSON.parse(response.getContentText());
-
-    // Safe check for total orders
-    if (!jsonResponse.total || typeof jsonResponse.total !== 'number') {
-      Logger.log('Warning: "total" property not found or not a number.');
-    } else {
-      totalOrders = jsonResponse.total;
-    }
-
-    Logger.log('jsonResponse.total: ' + totalOrders)
-
-    // Stop fetching if no orders are found
-    if (!jsonResponse.orders || jsonResponse.orders.length === 0) {
-      Logger.log('No more orders found, stopping.');
-      break;
-    }
-
-    // Add retrieved orders to array
-    allOrders = allOrders.concat(jsonResponse.orders);
-
-    // Stop fetching if we've retrieved all known orders
-    if (allOrders.length >= totalOrders) {
-      break;
-    }
-
-    // Move to the next batch
-    offset += limit;
-
-    // Stop if offset exceeds expected total
-    if (offset >= totalOrders) {
-      break;
-    }
-
-  } while (allOrders.length < totalOrders);
-
-  Logger.log(`Total API Calls Made: ${totalCalls}`);
-  Logger.log(`Total Orders Retrieved: ${allOrders.length}`);
-
-  return allOrders;
+function searchOrders(queryParams, instance, options = {}) {
+  return paginate(instance, '/api/v1/orders', Object.assign({}, options, {
+    label: 'searchOrders',
+    query: queryParams,
+    itemsPath: 'orders',
+  }));
 }
 
-
 let QUERY = 'created_start_at=2025-02-14%2000%3A00%3A00&in_status_ids=delivered';
 
 function testSearchOrders() {
@@ -0,0 +1,257 @@
+/**
+ * Incremental order sync: fetches only the orders updated since the last run.
+ *
+ * Each sync keeps a high-water mark (the latest `updated_at` it has handed over) per
+ * instance in Script Properties. The next run searches from the watermark minus an
+ * overlap window, so edits saved while the previous run was reading aren't missed, and
+ * skips the orders of the overlap it has already handed over with the same `updated_at`.
+ */
+const DEFAULT_SYNC_OPTIONS = {
+  syncName: 'orders',                       // Separate watermarks for separate consumers
+  overlapMs: 10 * 60 * 1000,                // Re-read this much before the watermark
+  initialLookbackDays: 365,                 // Window of the first run (no watermark yet)
+  timeZone: 'UTC',                          // Timezone of the updated_* filters
+  maxSeenIds: 150,                          // Max order IDs remembered for the overlap (~54 bytes each)
+};
+
+// Script Properties values hold at most 9 KB: the oldest remembered IDs are dropped to stay below this
+const MAX_SYNC_STATE_LENGTH = 8 * 1024;
+
+/**
+ * Fetches the orders changed since the last sync and hands them to a handler or sink.
+ * The watermark only moves forward once the handler returns without throwing, so a
+ * failed run is retried from the same point.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * // Function handler
+ * syncChangedOrders(Instance.AMADO, (orders) => orders.forEach(o => Logger.log(o.public_id)));
+ *
+ * // Sink object with write(), extra filters and a separate watermark
+ * syncChangedOrders(Instance.AMADO, { write: (orders, info) => appendToSheet(orders) }, {
+ *   syncName: 'deliveredSheet',
+ *   query: newOrderQueryBuilder().status('delivered'),
+ * });
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {function(Array<object>, object): void|{write: function(Array<object>, object): void}} handler
+ *   Called once with (changedOrders, info) when there are changes; `info` has
+ *   { instanceName, syncName, since, until, previousWatermark }.
+ * @param {object} [options] See DEFAULT_SYNC_OPTIONS, plus:
+ * @param {OrderQueryBuilder} [options.query] Extra filters. It isn't modified; its updated_* range is ignored.
+ * @param {Date} [options.since] Start from this date instead of the stored watermark.
+ * @returns {object|null} { changed, fetched, previousWatermark, watermark }, or null on error.
+ */
+function syncChangedOrders(instanceName, handler, options = {}) {
+  const settings = Object.assign({}, DEFAULT_SYNC_OPTIONS, options);
+  const state = readSyncState_(instanceName, settings.syncName);
+  const until = new Date();
+
+  let since;
+  if (settings.since) {
+    since = settings.since;
+  } else if (state.watermark) {
+    since = new Date(state.watermark - settings.overlapMs);
+  } else {
+    since = new Date(until.getTime() - settings.initialLookbackDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Build on a copy so the caller's builder doesn't keep this sync window
+  const builder = newOrderQueryBuilder(settings.timeZone);
+  if (settings.query) {
+    Object.assign(builder.filters, settings.query.filters);
+  }
+  builder.updatedBetween(since, until);
+
+  Logger.log(`syncChangedOrders: Fetching ${instanceName} orders updated since ${since.toISOString()} (${settings.syncName}).`);
+  const orders = searchOrders(builder.build(), instanceName);
+  if (!orders) {
+    return null; // Error already logged by the client
+  }
+
+  // De-duplicate by order ID (keeping the latest version), then drop the ones already handed over
+  const latestById = {};
+  for (const order of orders) {
+    const current = latestById[order.id];
+    if (!current || getUpdatedAtMs_(order) >= getUpdatedAtMs_(current)) {
+      latestById[order.id] = order;
+    }
+  }
+  const changedOrders = Object.keys(latestById)
+    .map(id => latestById[id])
+    .filter(order => state.seen[order.id] !== getUpdatedAtMs_(order));
+
+  if (changedOrders.length > 0) {
+    const info = {
+      instanceName: instanceName,
+      syncName: settings.syncName,
+      since: since,
+      until: until,
+      previousWatermark: state.watermark ? new Date(state.watermark) : null,
+    };
+    try {
+      if (typeof handler === 'function') {
+        handler(changedOrders, info);
+      } else {
+        handler.write(changedOrders, info);
+      }
+    } catch (error) {
+      Logger.log(`syncChangedOrders: Handler failed, the watermark was not moved: ${error}`);
+      return null;
+    }
+  }
+
+  const previousWatermark = state.watermark;
+  const newState = buildSyncState_(Object.keys(latestById).map(id => latestById[id]), state, settings);
+  try {
+    writeSyncState_(instanceName, settings.syncName, newState);
+  } catch (error) {
+    // The handler already ran: the next run will hand over these orders again
+    return reportRoseRocketError(new RoseRocketError(`syncChangedOrders: The orders were handed over but the watermark could not be saved: ${error.message || error}`, { instance: instanceName }));
+  }
+
+  Logger.log(`syncChangedOrders: ${changedOrders.length} changed order(s) of ${orders.length} fetched. Watermark: ${newState.watermark ? new Date(newState.watermark).toISOString() : 'none'}.`);
+  return {
+    changed: changedOrders.length,
+    fetched: orders.length,
+    previousWatermark: previousWatermark ? new Date(previousWatermark) : null,
+    watermark: newState.watermark ? new Date(newState.watermark) : null,
+  };
+}
+
+/**
+ * Returns the watermark of a sync.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} [syncName='orders'] The name of the sync.
+ * @returns {Date|null} The latest updated_at handed over, or null if the sync has never run.
+ */
+function getSyncWatermark(instanceName, syncName = DEFAULT_SYNC_OPTIONS.syncName) {
+  const state = readSyncState_(instanceName, syncName);
+  return state.watermark ? new Date(state.watermark) : null;
+}
+
+/**
+ * Forgets the watermark of a sync, so the next run starts from initialLookbackDays
+ * (or sets it to a given date).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} [syncName='orders'] The name of the sync.
+ * @param {Date} [watermark] Set the watermark to this date instead of deleting it.
+ */
+function resetSyncWatermark(instanceName, syncName = DEFAULT_SYNC_OPTIONS.syncName, watermark) {
+  const key = getSyncStorageKey_(instanceName, syncName);
+  if (watermark) {
+    writeSyncState_(instanceName, syncName, { watermark: watermark.getTime(), seen: {} });
+  } else {
+    PropertiesService.getScriptProperties().deleteProperty(key);
+  }
+  Logger.log(`resetSyncWatermark: ${instanceName}/${syncName} set to ${watermark ? watermark.toISOString() : 'none'}.`);
+}
+
+/**
+ * Computes the next sync state: the highest updated_at seen, and the IDs (with their
+ * updated_at) that fall inside the overlap window of that watermark. The newest IDs are
+ * kept, up to maxSeenIds and MAX_SYNC_STATE_LENGTH; an ID that is dropped is handed over
+ * again if it shows up in the next overlap.
+ *
+ * @param {Array<object>} orders The de-duplicated orders of this run.
+ * @param {object} state The previous state ({ watermark, seen }).
+ * @param {object} settings The sync settings.
+ * @returns {object} The new state.
+ * @private
+ */
+function buildSyncState_(orders, state, settings) {
+  let watermark = state.watermark || null;
+  for (const order of orders) {
+    const updatedAt = getUpdatedAtMs_(order);
+    if (updatedAt && (!watermark || updatedAt > watermark)) {
+      watermark = updatedAt;
+    }
+  }
+
+  const seen = {};
+  const candidates = orders.map(order => ({ id: order.id, updatedAt: getUpdatedAtMs_(order) }));
+  for (const id in state.seen) {
+    if (state.seen.hasOwnProperty(id) && !candidates.some(candidate => candidate.id === id)) {
+      candidates.push({ id: id, updatedAt: state.seen[id] });
+    }
+  }
+  let length = JSON.stringify({ watermark: watermark, seen: {} }).length;
+  let full = false;
+  candidates
+    .filter(candidate => watermark && candidate.updatedAt >= watermark - settings.overlapMs)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, settings.maxSeenIds)
+    .forEach(candidate => {
+      const entryLength = JSON.stringify(candidate.id).length + String(candidate.updatedAt).length + 2; // "id":ms,
+      full = full || length + entryLength > MAX_SYNC_STATE_LENGTH;
+      if (!full) {
+        seen[candidate.id] = candidate.updatedAt;
+        length += entryLength;
+      }
+    });
+
+  return { watermark: watermark, seen: seen };
+}
+
+/**
+ * @param {object} order A Rose Rocket order.
+ * @returns {number} The updated_at of the order in milliseconds (0 if missing or invalid).
+ * @private
+ */
+function getUpdatedAtMs_(order) {
+  const time = order && order.updated_at ? new Date(order.updated_at).getTime() : 0;
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} syncName The name of the sync.
+ * @returns {object} The stored state ({ watermark, seen }), or an empty state.
+ * @private
+ */
+function readSyncState_(instanceName, syncName) {
+  const raw = PropertiesService.getScriptProperties().getProperty(getSyncStorageKey_(instanceName, syncName));
+  if (raw) {
+    try {
+      return Object.assign({ watermark: null, seen: {} }, JSON.parse(raw));
+    } catch (e) {
+      Logger.log(`Ignoring unreadable sync state for ${instanceName}/${syncName}: ${e}`);
+    }
+  }
+  return { watermark: null, seen: {} };
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} syncName The name of the sync.
+ * @param {object} state The state to store ({ watermark, seen }).
+ * @private
+ */
+function writeSyncState_(instanceName, syncName, state) {
+  PropertiesService.getScriptProperties().setProperty(getSyncStorageKey_(instanceName, syncName), JSON.stringify(state));
+}
+
+/**
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} syncName The name of the sync.
+ * @returns {string} The Script Properties key of the sync state.
+ * @private
+ */
+function getSyncStorageKey_(instanceName, syncName) {
+  return `${RESERVED_PROPERTY_PREFIX}SYNC_${instanceName}_${syncName}`;
+}
+
+
+/**
+ * Example usage of syncChangedOrders(). Run it from a time-based trigger.
+ */
+function testSyncChangedOrders() {
+  const summary = syncChangedOrders(Instance.AMADO, (orders, info) => {
+    Logger.log(`${orders.length} order(s) changed since ${info.since}:`);
+    orders.forEach(order => Logger.log(`  ${order.public_id} (${order.status}) updated at ${order.updated_at}`));
+  });
+  Logger.log(JSON.stringify(summary));
+}
@@ -0,0 +1,222 @@
+/**
+ * Order fields that updateOrder() accepts, grouped by what they cover.
+ * Any other field is rejected locally before calling the API.
+ */
+const ORDER_UPDATABLE_FIELDS = {
+  references: ['ref_num', 'po_num', 'external_id', 'tender_num'],
+  notes: ['notes', 'pickup_notes', 'delivery_notes'],
+  appointments: ['pickup_start_at', 'pickup_end_at', 'delivery_start_at', 'delivery_end_at'],
+  commodities: ['commodities'],
+  accessorials: ['accessorials'],
+};
+
+// --- Order status enum (status IDs used by the API; not exhaustive) ---
+const OrderStatus = {
+  NEW: 'new',
+  DISPATCHED: 'dispatched',
+  IN_TRANSIT: 'in-transit',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  ON_HOLD: 'on-hold',
+};
+
+// Format of Date values in appointment fields (e.g., 2024-12-01T08:00:00-05:00)
+const ORDER_APPOINTMENT_DATE_FORMAT = "yyyy-MM-dd'T'HH:mm:ssXXX";
+
+
+/**
+ * Updates fields of an existing order: references, notes, appointments, commodities
+ * and accessorials (see ORDER_UPDATABLE_FIELDS).
+ *
+ * Only the fields in `changes` are sent, so fields edited by someone else in the meantime
+ * are not overwritten. The order is read first to find its customer (see getOrderWritePath_()).
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const result = updateOrder(Instance.AMADO, orderId, {
+ *   ref_num: 'REF-123',
+ *   delivery_start_at: new Date(2025, 1, 20, 8, 0),
+ *   notes: 'Call before delivery',
+ * });
+ * if (!result.success) {
+ *   result.rejectedFields.forEach(f => Logger.log(`${f.field}: ${f.message}`));
+ * }
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {object} changes The fields to change. Appointment fields accept Date objects.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] Timezone used to format Date values (defaults to the script timezone).
+ * @returns {object} { success, order, rejectedFields, error } — `order` is the updated order,
+ *   `rejectedFields` lists the fields rejected locally or by Rose Rocket ({ field, message }).
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function updateOrder(instanceName, orderId, changes, options = {}) {
+  const label = 'updateOrder';
+
+  const unknownFields = Object.keys(changes || {}).filter(field => getUpdatableOrderFields_().indexOf(field) === -1);
+  if (!changes || Object.keys(changes).length === 0 || unknownFields.length > 0) {
+    const fieldErrors = unknownFields.map(field => ({ field: field, message: 'Field cannot be updated with updateOrder().' }));
+    const error = new ValidationError(
+      unknownFields.length > 0
+        ? `${label}: Fields not allowed: ${unknownFields.join(', ')}. Allowed: ${getUpdatableOrderFields_().join(', ')}`
+        : `${label}: No changes given for order ${orderId}.`,
+      { instance: instanceName, fieldErrors: fieldErrors });
+    return reportRoseRocketError(error, createOrderWriteResult_(null, error));
+  }
+
+  const currentOrder = getOrderDetails(instanceName, orderId);
+  if (!currentOrder) {
+    return createOrderWriteResult_(null, new RoseRocketError(`${label}: Could not read order ${orderId}.`, { instance: instanceName }));
+  }
+
+  const timeZone = options.timeZone || Session.getScriptTimeZone();
+  const payload = {};
+  for (const field in changes) {
+    if (changes.hasOwnProperty(field)) {
+      const value = changes[field];
+      payload[field] = value instanceof Date ? Utilities.formatDate(value, timeZone, ORDER_APPOINTMENT_DATE_FORMAT) : value;
+    }
+  }
+
+  const result = getRoseRocketClient(instanceName).put(getOrderWritePath_(currentOrder), payload, {
+    label: label,
+    resourceName: 'Order',
+  });
+  return createOrderWriteResult_(result);
+}
+
+/**
+ * Changes the status of an order (e.g., OrderStatus.DISPATCHED).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string} statusId The new status ID (see OrderStatus).
+ * @returns {object} { success, order, rejectedFields, error } (see updateOrder()).
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function changeOrderStatus(instanceName, orderId, statusId) {
+  return sendOrderAction_('changeOrderStatus', instanceName, orderId, 'status', 'put', { status: statusId });
+}
+
+/**
+ * Cancels an order.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string} [reason] The cancellation reason, stored with the order.
+ * @returns {object} { success, order, rejectedFields, error } (see updateOrder()).
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function cancelOrder(instanceName, orderId, reason) {
+  return sendOrderAction_('cancelOrder', instanceName, orderId, 'cancel', 'post', reason ? { reason: reason } : {});
+}
+
+/**
+ * Reverts an order to its previous status (e.g., undoes a cancellation or a delivery).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @returns {object} { success, order, rejectedFields, error } (see updateOrder()).
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function revertOrderStatus(instanceName, orderId) {
+  return sendOrderAction_('revertOrderStatus', instanceName, orderId, 'revert', 'post', {});
+}
+
+/**
+ * Returns the order status enum.
+ * @returns {object} The OrderStatus enum.
+ */
+function getOrderStatusEnum() {
+  return OrderStatus;
+}
+
+/**
+ * Sends a status action (status, cancel, revert) for an order.
+ *
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string} action The action path appended to the order path.
+ * @param {string} method The client method ('put' or 'post').
+ * @param {object} payload The JSON body.
+ * @returns {object} The order write result.
+ * @private
+ */
+function sendOrderAction_(label, instanceName, orderId, action, method, payload) {
+  const currentOrder = getOrderDetails(instanceName, orderId);
+  if (!currentOrder) {
+    return createOrderWriteResult_(null, new RoseRocketError(`${label}: Could not read order ${orderId}.`, { instance: instanceName }));
+  }
+
+  const result = getRoseRocketClient(instanceName)[method](`${getOrderWritePath_(currentOrder)}/${action}`, payload, {
+    label: label,
+    resourceName: 'Order',
+  });
+  if (result.ok) {
+    Logger.log(`${label}: Order ${currentOrder.public_id || orderId} ${action} OK (was ${currentOrder.status}).`);
+  }
+  return createOrderWriteResult_(result);
+}
+
+/**
+ * Order writes go through the customer of the order, like createOrder().
+ *
+ * @param {object} order The current order (with `id` and `customer.id`).
+ * @returns {string} The API path of the order.
+ * @private
+ */
+function getOrderWritePath_(order) {
+  const customerId = order.customer_id || (order.customer && order.customer.id);
+  return `/api/v1/customers/${customerId}/orders/${order.id}`;
+}
+
+/**
+ * @returns {Array<string>} Every field accepted by updateOrder().
+ * @private
+ */
+function getUpdatableOrderFields_() {
+  return Object.keys(ORDER_UPDATABLE_FIELDS).reduce((fields, group) => fields.concat(ORDER_UPDATABLE_FIELDS[group]), []);
+}
+
+/**
+ * Builds the result of an order write from a RoseRocketClient result (or a local error).
+ *
+ * @param {object|null} result The RoseRocketClient result.
+ * @param {RoseRocketError} [localError] An error detected before calling the API.
+ * @returns {object} { success, order, rejectedFields, error }.
+ * @private
+ */
+function createOrderWriteResult_(result, localError) {
+  const error = localError || (result && result.error) || null;
+  const data = result && result.ok ? result.data : null;
+  return {
+    success: !!(result && result.ok),
+    order: data && data.order ? data.order : data,
+    rejectedFields: error && error.fieldErrors ? error.fieldErrors : [],
+    error: error,
+  };
+}
+
+
+/**
+ * Example usage of updateOrder() and the status functions.
+ */
+function testUpdateOrder() {
+  const instanceName = Instance.AMADO;
+  const orderId = 'e2f29b55-9e6a-4883-9c8a-1f1f0d8901a5'; // Use a *REAL* test order ID here.
+
+  const updated = updateOrder(instanceName, orderId, { ref_num: 'TEST-REF', notes: 'Updated from Apps Script' });
+  Logger.log(`Update success: ${updated.success}. Rejected: ${JSON.stringify(updated.rejectedFields)}`);
+
+  const notAllowed = updateOrder(instanceName, orderId, { status: 'delivered' });
+  Logger.log(`Update with a non-updatable field rejected locally: ${!notAllowed.success} ${JSON.stringify(notAllowed.rejectedFields)}`);
+
+  const cancelled = cancelOrder(instanceName, orderId, 'Test cancellation');
+  Logger.log(`Cancel success: ${cancelled.success}. Status: ${cancelled.order ? cancelled.order.status : 'N/A'}`);
+
+  const reverted = revertOrderStatus(instanceName, orderId);
+  Logger.log(`Revert success: ${reverted.success}. Status: ${reverted.order ? reverted.order.status : 'N/A'}`);
+}
@@ -10,41 +10,16 @@
  * @returns {object|null} The API response object on success, or null on error.
  */
 async function uploadFileToOrder(instance, orderId, fileBlob, fileType = "other", description = "filename") {
-    // Instance validation
-    if (!Object.values(Instance).includes(instance)) {
-        Logger.log(`Error: Invalid instance: ${instance}. Use one of: ${Object.values(Instance).join(', ')}`);
-        return null;
-    }
-
-    // const instanceConfig = INSTANCES[instance];
-    const instanceConfig = instanceManager.getConfig(instance)
-
-    // Check for the SUBDOMAIN property
-    if (!instanceConfig.SUBDOMAIN) {
-        Logger.log(`Error: SUBDOMAIN not defined for instance: ${instance}`);
-        return null;
-    }
-
     // --- Filename Validation ---
     if (description) {  // Only validate if a description is provided
         if (!isValidFilename(description)) {
-            Logger.log(`Error: Invalid filename provided in description: ${description}`);
-            return null; // Or throw an error: throw new Error("Invalid filename in description");
+            return reportRoseRocketError(new ValidationError(`Error: Invalid filename provided in description: ${description}`, {
+                instance: instance,
+                fieldErrors: [{ field: 'description', message: 'Invalid filename' }],
+            }));
         }
     }
 
-    // Get the access token
-    const accessToken = getAccessTokenForInstance(instance);
-    if (!accessToken) {
-        Logger.log("Error: Could not retrieve access token.");
-        return null;
-    }
-
-
-    // Construct the API URL using the subdomain
-    const apiUrl = `https://${instanceConfig.SUBDOMAIN}.roserocket.com/api/v1/orders/${orderId}/files/upload_file`;
-    Logger.log(`Upload URL: ${apiUrl}`);
-
     // Prepare the payload, including the description
     const formData = {
         'file': fileBlob,
@@ -52,34 +27,17 @@ async function uploadFileToOrder(instance, orderId, fileBlob, fileType = "other"
         'description': description // Add the description to the form data
     };
 
-    const options = {
-        'method': 'post',
-        'headers': {
-            'Authorization': `Bearer ${accessToken}`
-        },
-        'payload': formData,
-        'muteHttpExceptions': true
-    };
+    const result = getRoseRocketClient(instance).post(`/api/v1/orders/${orderId}/files/upload_file`, undefined, {
+        label: 'uploadFileToOrder',
+        resourceName: 'Order',
+        formData: formData,
+    });
+    Logger.log(`API Response Code: ${result.status}`);
 
-    const response = UrlFetchApp.fetch(apiUrl, options);
-    const responseCode = response.getResponseCode();
-    Logger.log(`API Response Code: ${responseCode}`);
-
-    if (responseCode === 200) {
-        try {
-            return JSON.parse(response.getContentText());
-        } catch (e) {
-            Logger.log(`Error parsing JSON response: ${e}`);
-            Logger.log(`Raw response content: ${response.getContentText()}`);
-            return null;
-        }
-    } else if (responseCode === 400) {
-         Logger.log(`Bad Request (400): ${response.getContentText()}`);
-        return null;
-    } else {
-        Logger.log(`API Error: ${responseCode} - ${response.getContentText()}`);
-        return null;
+    if (!result.ok) {
+        return null; // Error already logged by the client
     }
+    return result.data;
 }
 
 
@@ -250,19 +208,6 @@ async function testUploadFileToOrder() {
  *                          instance, no access token, network issues).
  */
 async function deleteOrderFile(instance, orderId, fileId) {
-  // Instance validation
-  if (!Object.values(Instance).includes(instance)) {
-    Logger.log(`Error: Invalid instance: ${instance}. Use one of: ${Object.values(Instance).join(', ')}`);
-    return null;
-  }
-
-  // Get the access token
-  const accessToken = getAccessTokenForInstance(instance);
-  if (!accessToken) {
-    Logger.log("Error: Could not retrieve access token.");
-    return null;
-  }
-
   // 1. Retrieve the order to get the customer ID (same as uploadFileToOrder)
   const orderDetails = getOrderByOrderId(instance, orderId);
   if (!orderDetails) {
@@ -272,46 +217,28 @@ async function deleteOrderFile(instance, orderId, fileId) {
 
   const customerId = orderDetails.order?.customer?.id;
   if (!customerId) {
-    Logger.log(`Error: Could not find customer ID in order details for order ID: ${orderId}`);
     Logger.log(`Order Details: ${JSON.stringify(orderDetails)}`);
-    return null;
+    return reportRoseRocketError(new ServerError(`Error: Could not find customer ID in order details for order ID: ${orderId}`, { instance: instance }));
   }
 
-  // 2. Construct the API URL
-  const apiUrlBase = 'https://platform.roserocket.com/api/v1/customers';
-  const apiUrl = `${apiUrlBase}/${customerId}/orders/${orderId}/files/${fileId}`;
-  Logger.log(`Delete URL: ${apiUrl}`);
-
-  // 3. Prepare options for the DELETE request
-  const options = {
-    'method': 'delete',
-    'headers': {
-      'Authorization': `Bearer ${accessToken}`
-    },
-    'muteHttpExceptions': true // Handle errors ourselves
-  };
-
-  // 4. Make the API request
-  const response = UrlFetchApp.fetch(apiUrl, options);
+  // 2. Make the API request
+  const result = getRoseRocketClient(instance).delete(`/api/v1/customers/${customerId}/orders/${orderId}/files/${fileId}`, {
+    label: 'deleteOrderFile',
+    resourceName: 'File',
+  });
+  Logger.log(`API Response Code: ${result.status}`);
 
-  // 5. Handle the response
-  const responseCode = response.getResponseCode();
-  Logger.log(`API Response Code: ${responseCode}`);
+  // 3. Handle the response
+  if (result.status === null) {
+    return null; // Invalid instance, token or network problem. Already logged by the client.
+  }
 
   // Successful deletion returns a 204 No Content response.
-  if (responseCode === 204) {
+  if (result.status === 204) {
     Logger.log(`File with ID ${fileId} deleted successfully from order ${orderId}.`);
     return true; // Indicate successful deletion
-  } else if (responseCode === 404) {
-    Logger.log(`File Not Found (404): Either the order or the file ID is invalid. ${response.getContentText()}`);
-    return false; // Indicate failure (but not a script-breaking error)
-  } else if (responseCode === 400) {
-      Logger.log(`Bad Request (400): ${response.getContentText()}`);
-      return false;
-  }else {
-    Logger.log(`API Error: ${responseCode} - ${response.getContentText()}`);
-    return false; // Other error (e.g., 401, 500)
   }
+  return false; // Indicate failure (e.g., 400, 401, 404, 500). Already logged by the client.
 }
 
 /**
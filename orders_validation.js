@@ -0,0 +1,354 @@
+/**
+ * Client-side validation of order payloads, so missing or invalid fields are reported
+ * all at once instead of as an opaque 400 from Rose Rocket.
+ *
+ * The rules are declarative: each field has a rule object with any of
+ *   required, type ('string' | 'number' | 'boolean' | 'object' | 'array' | 'datetime'),
+ *   enum, min, minItems, schema (fields of an object) and items (rule of each array element).
+ * 'datetime' values must be ISO 8601 with a timezone (e.g., 2024-12-01T08:00:00-05:00).
+ */
+
+// --- Order payload type enum ---
+const OrderPayloadType = {
+  SINGLE: 'single',        // createOrder()
+  BOOKED: 'booked',        // createBookedOrder()
+  MULTI_STOP: 'multistop', // createMultiStopOrder()
+};
+
+const ORDER_FIELD_ENUMS = {
+  billing_option: ['prepaid', 'collect', 'thirdparty'],
+  dim_type: ['ltl', 'ftl', 'volume'],
+  freight_class: ['none', '50', '55', '60', '65', '70', '77.5', '85', '92.5', '100', '110', '125', '150', '175', '200', '250', '300', '400', '500'],
+  measurement_unit: ['inch', 'cm'],
+  weight_unit: ['lb', 'kg'],
+  stop_type: ['pickup', 'delivery'],
+};
+
+const ADDRESS_SCHEMA = {
+  address_1: { required: true, type: 'string' },
+  address_2: { type: 'string' },
+  city: { required: true, type: 'string' },
+  state: { type: 'string' },
+  postal: { required: true, type: 'string' },
+  country: { required: true, type: 'string' },
+};
+
+const COMMODITY_SCHEMA = {
+  commodity_type: { required: true, type: 'string' },
+  description: { required: true, type: 'string' },
+  quantity: { required: true, type: 'number', min: 1 },
+  weight: { type: 'number', min: 0 },
+  length: { type: 'number', min: 0 },
+  width: { type: 'number', min: 0 },
+  height: { type: 'number', min: 0 },
+  measurement_unit: { type: 'string', enum: ORDER_FIELD_ENUMS.measurement_unit },
+  weight_unit: { type: 'string', enum: ORDER_FIELD_ENUMS.weight_unit },
+  freight_class: { type: 'string', enum: ORDER_FIELD_ENUMS.freight_class },
+};
+
+// Fields shared by the single-stop and booked order payloads
+const SINGLE_ORDER_SCHEMA = {
+  customer: { type: 'object', schema: { id: { type: 'string' } } },
+  billing: { type: 'object' },
+  origin: { required: true, type: 'object', schema: ADDRESS_SCHEMA },
+  destination: { required: true, type: 'object', schema: ADDRESS_SCHEMA },
+  billing_option: { required: true, type: 'string', enum: ORDER_FIELD_ENUMS.billing_option },
+  dim_type: { type: 'string', enum: ORDER_FIELD_ENUMS.dim_type },
+  pickup_start_at: { type: 'datetime' },
+  pickup_end_at: { type: 'datetime' },
+  delivery_start_at: { type: 'datetime' },
+  delivery_end_at: { type: 'datetime' },
+  commodities: { required: true, type: 'array', minItems: 1, items: { type: 'object', schema: COMMODITY_SCHEMA } },
+};
+
+const ORDER_STOP_SCHEMA = {
+  type: { required: true, type: 'string', enum: ORDER_FIELD_ENUMS.stop_type },
+  location_id: { type: 'string' },
+  location: { type: 'object', schema: ADDRESS_SCHEMA },
+  expected_arrival_date: { type: 'datetime' },
+  start_at: { type: 'datetime' },
+  end_at: { type: 'datetime' },
+  commodities: { type: 'array', items: { type: 'object', schema: COMMODITY_SCHEMA } },
+  notes: { type: 'string' },
+};
+
+const MULTI_STOP_ORDER_SCHEMA = {
+  customer: { type: 'object', schema: { id: { type: 'string' } } },
+  billing_option: { type: 'string', enum: ORDER_FIELD_ENUMS.billing_option },
+  dim_type: { type: 'string', enum: ORDER_FIELD_ENUMS.dim_type },
+  stops: { required: true, type: 'array', minItems: 2, items: { type: 'object', schema: ORDER_STOP_SCHEMA } },
+  commodities: { type: 'array', items: { type: 'object', schema: COMMODITY_SCHEMA } },
+};
+
+const ORDER_PAYLOAD_SCHEMAS = {
+  single: SINGLE_ORDER_SCHEMA,
+  booked: SINGLE_ORDER_SCHEMA,
+  multistop: MULTI_STOP_ORDER_SCHEMA,
+};
+
+// Time windows that must be in strictly increasing order when present
+const ORDER_WINDOW_SEQUENCE = ['pickup_start_at', 'pickup_end_at', 'delivery_start_at', 'delivery_end_at'];
+
+const ISO_DATETIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+
+/**
+ * Validates an order payload against the schema of its type and returns every problem found.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const validation = validateOrderPayload(orderData, OrderPayloadType.SINGLE);
+ * if (!validation.valid) {
+ *   validation.errors.forEach(e => Logger.log(`${e.field}: ${e.message}`));
+ * }
+ * ```
+ *
+ * @param {object} orderData The order payload.
+ * @param {string} [type=OrderPayloadType.SINGLE] The payload type (see OrderPayloadType).
+ * @returns {object} { valid, errors } — `errors` uses the same { field, message } shape as
+ *   ValidationError.fieldErrors, with paths like 'commodities[0].quantity'.
+ */
+function validateOrderPayload(orderData, type = OrderPayloadType.SINGLE) {
+  const schema = ORDER_PAYLOAD_SCHEMAS[type];
+  if (!schema) {
+    throw new ConfigError(`validateOrderPayload: Unknown payload type '${type}'. Use one of: ${Object.values(OrderPayloadType).join(', ')}`);
+  }
+
+  const errors = [];
+  if (!orderData || typeof orderData !== 'object' || Array.isArray(orderData)) {
+    errors.push({ field: '', message: 'The order payload must be an object.' });
+    return { valid: false, errors: errors };
+  }
+
+  validateObject_(orderData, schema, '', errors);
+
+  if (type === OrderPayloadType.MULTI_STOP) {
+    validateStops_(orderData.stops, errors);
+  } else {
+    validateWindowSequence_(orderData, ORDER_WINDOW_SEQUENCE, '', errors);
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Runs the validation for a create function. In dry-run mode nothing is sent and the
+ * validation result is returned; otherwise invalid payloads are reported as a ValidationError.
+ *
+ * @param {string} label The calling function name (for log messages).
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object} orderData The order payload.
+ * @param {string} type The payload type (see OrderPayloadType).
+ * @param {object} options The create options ({ validate, dryRun }).
+ * @returns {object} { proceed, value } — when `proceed` is false, the create function
+ *   must return `value` without calling the API.
+ * @private
+ */
+function checkOrderPayload_(label, instanceName, orderData, type, options) {
+  if (!options.validate && !options.dryRun) {
+    return { proceed: true, value: null };
+  }
+
+  const validation = validateOrderPayload(orderData, type);
+  if (options.dryRun) {
+    Logger.log(`${label}: Dry run. Payload is ${validation.valid ? 'valid' : `invalid (${validation.errors.length} problem(s))`}. Nothing was sent.`);
+    return { proceed: false, value: { dryRun: true, valid: validation.valid, errors: validation.errors, payload: orderData } };
+  }
+  if (!validation.valid) {
+    const error = new ValidationError(
+      `${label}: Invalid order payload: ${validation.errors.map(e => `${e.field}: ${e.message}`).join('; ')}`,
+      { instance: instanceName, fieldErrors: validation.errors });
+    return { proceed: false, value: reportRoseRocketError(error, null) };
+  }
+  return { proceed: true, value: null };
+}
+
+/**
+ * @param {object} object The object to validate.
+ * @param {object} schema The field rules.
+ * @param {string} path The path of the object (for error messages).
+ * @param {Array<object>} errors The list the problems are added to.
+ * @private
+ */
+function validateObject_(object, schema, path, errors) {
+  for (const field in schema) {
+    if (schema.hasOwnProperty(field)) {
+      validateValue_(object[field], schema[field], path ? `${path}.${field}` : field, errors);
+    }
+  }
+}
+
+/**
+ * @param {*} value The value to validate.
+ * @param {object} rule The field rule.
+ * @param {string} path The path of the value (for error messages).
+ * @param {Array<object>} errors The list the problems are added to.
+ * @private
+ */
+function validateValue_(value, rule, path, errors) {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) {
+      errors.push({ field: path, message: 'Required field is missing.' });
+    }
+    return;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push({ field: path, message: `Expected a string, got ${typeof value}.` });
+        return;
+      }
+      break;
+    case 'number':
+      if (typeof value === 'boolean' || isNaN(Number(value))) {
+        errors.push({ field: path, message: `Expected a number, got '${value}'.` });
+        return;
+      }
+      if (rule.min !== undefined && Number(value) < rule.min) {
+        errors.push({ field: path, message: `Must be at least ${rule.min}.` });
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ field: path, message: `Expected true or false, got '${value}'.` });
+      }
+      return;
+    case 'datetime':
+      if (typeof value !== 'string' || !ISO_DATETIME_REGEX.test(value) || isNaN(new Date(value).getTime())) {
+        errors.push({ field: path, message: `Expected an ISO 8601 date-time with timezone (e.g., 2024-12-01T08:00:00-05:00), got '${value}'.` });
+      }
+      return;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: path, message: 'Expected an object.' });
+        return;
+      }
+      if (rule.schema) {
+        validateObject_(value, rule.schema, path, errors);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: 'Expected an array.' });
+        return;
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        errors.push({ field: path, message: `Must have at least ${rule.minItems} element(s).` });
+      }
+      if (rule.items) {
+        value.forEach((item, index) => validateValue_(item, rule.items, `${path}[${index}]`, errors));
+      }
+      return;
+  }
+
+  if (rule.enum && rule.enum.indexOf(String(value)) === -1) {
+    errors.push({ field: path, message: `Invalid value '${value}'. Use one of: ${rule.enum.join(', ')}` });
+  }
+}
+
+/**
+ * Checks that the date-times present in `fields` are in strictly increasing order.
+ *
+ * @param {object} object The object holding the date-times.
+ * @param {Array<string>} fields The field names, in their expected order.
+ * @param {string} path The path of the object (for error messages).
+ * @param {Array<object>} errors The list the problems are added to.
+ * @private
+ */
+function validateWindowSequence_(object, fields, path, errors) {
+  let previousField = null;
+  let previousTime = null;
+  for (const field of fields) {
+    const value = object[field];
+    if (typeof value !== 'string' || !ISO_DATETIME_REGEX.test(value)) {
+      continue; // Missing or already reported as invalid
+    }
+    const time = new Date(value).getTime();
+    if (previousTime !== null && time <= previousTime) {
+      errors.push({ field: path ? `${path}.${field}` : field, message: `Must be after ${previousField} (${object[previousField]}).` });
+    }
+    previousField = field;
+    previousTime = time;
+  }
+}
+
+/**
+ * Multi-stop rules that don't fit the field schema: every stop needs a location and
+ * its window must be in order, the first stop must be a pickup and the last one a
+ * delivery, and no stop can start before the previous one.
+ *
+ * @param {Array<object>} stops The stops of the payload.
+ * @param {Array<object>} errors The list the problems are added to.
+ * @private
+ */
+function validateStops_(stops, errors) {
+  if (!Array.isArray(stops)) {
+    return; // Already reported by the schema
+  }
+
+  let previousIndex = null;
+  let previousTime = null;
+  stops.forEach((stop, index) => {
+    if (!stop || typeof stop !== 'object') {
+      return;
+    }
+    if (!stop.location_id && !stop.location) {
+      errors.push({ field: `stops[${index}]`, message: 'Each stop needs a location_id or a location.' });
+    }
+    validateWindowSequence_(stop, ['start_at', 'end_at'], `stops[${index}]`, errors);
+
+    const start = stop.start_at || stop.expected_arrival_date;
+    if (typeof start !== 'string' || !ISO_DATETIME_REGEX.test(start)) {
+      return; // Missing or already reported as invalid
+    }
+    const time = new Date(start).getTime();
+    if (previousTime !== null && time < previousTime) {
+      errors.push({ field: `stops[${index}]`, message: `Starts before stops[${previousIndex}]: stops must be in visit order.` });
+    }
+    previousIndex = index;
+    previousTime = time;
+  });
+
+  const types = stops.map(stop => stop && stop.type);
+  if (types.indexOf('pickup') === -1) {
+    errors.push({ field: 'stops', message: 'At least one pickup stop is required.' });
+  } else if (types[0] !== 'pickup') {
+    errors.push({ field: 'stops[0]', message: 'The first stop must be a pickup.' });
+  }
+  if (types.indexOf('delivery') === -1) {
+    errors.push({ field: 'stops', message: 'At least one delivery stop is required.' });
+  } else if (types[types.length - 1] !== 'delivery') {
+    errors.push({ field: `stops[${types.length - 1}]`, message: 'The last stop must be a delivery.' });
+  }
+}
+
+/**
+ * Returns the order payload type enum.
+ * @returns {object} The OrderPayloadType enum.
+ */
+function getOrderPayloadTypeEnum() {
+  return OrderPayloadType;
+}
+
+
+/**
+ * Example usage of validateOrderPayload() and the dry-run mode of createOrder().
+ */
+function testValidateOrderPayload() {
+  const orderData = {
+    origin: { address_1: '525 West Monroe Street', city: 'Chicago', state: 'IL', country: 'US' }, // Missing postal
+    destination: { address_1: '1 Presidents Choice Circle', city: 'Brampton', state: 'ON', postal: 'L6Y 5S5', country: 'CA' },
+    billing_option: 'prepaid_by_customer', // Not a valid billing option
+    pickup_start_at: '2024-12-01T17:00:00-05:00',
+    pickup_end_at: '2024-12-01T08:00:00-05:00', // Before pickup_start_at
+    commodities: [{ commodity_type: 'pallet', description: 'Example Commodity' }], // Missing quantity
+  };
+
+  const validation = validateOrderPayload(orderData, OrderPayloadType.SINGLE);
+  Logger.log(`Valid: ${validation.valid}`);
+  validation.errors.forEach(e => Logger.log(`  ${e.field}: ${e.message}`));
+
+  const dryRun = createOrder(Instance.AMADO, '7caf07d5-8667-4d8a-aaa3-72180c6ac095', orderData, { dryRun: true });
+  Logger.log(`Dry run: ${JSON.stringify(dryRun.errors)}`);
+}
@@ -0,0 +1,232 @@
+// Time budget of paginateWithTimeBudget_(): leaves room before the 6-minute execution limit
+const DEFAULT_SCAN_RUNTIME_MS = 4.5 * 60 * 1000;
+
+/**
+ * Generic auto-paginating iterator for Rose Rocket list endpoints (offset/limit).
+ *
+ * Two ways of consuming the results:
+ * - Without `onPage`: every item is accumulated and returned as a single array.
+ * - With `onPage`: each page is handed to the callback and nothing is accumulated,
+ *   so large result sets don't exhaust memory. A summary is returned instead,
+ *   including `nextOffset` to resume later with `startOffset`.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * // All delivered orders, as an array
+ * const orders = paginate(Instance.AMADO, '/api/v1/orders', {
+ *   query: { in_status_ids: 'delivered' },
+ *   itemsPath: 'orders',
+ * });
+ *
+ * // Page by page, stopping after 10 pages
+ * const summary = paginate(Instance.AMADO, '/api/v1/orders', {
+ *   itemsPath: 'orders',
+ *   maxPages: 10,
+ *   onPage: (orders, page) => Logger.log(`Page ${page.pageNumber}: ${orders.length} orders`),
+ * });
+ * // Later: paginate(..., { startOffset: summary.nextOffset, ... })
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} path The API path of the list endpoint (e.g., '/api/v1/orders').
+ * @param {object} [options]
+ * @param {object|string} [options.query] Extra query parameters (see RoseRocketClient.buildUrl()).
+ * @param {string} [options.itemsPath='orders'] Dot path of the items array in the response (e.g., 'data.address_books').
+ * @param {string} [options.totalPath] Dot path of the total count. Defaults to 'total' next to the items array.
+ * @param {number} [options.pageSize=50] Items requested per page (limit).
+ * @param {number} [options.maxItems] Stop after this many items.
+ * @param {number} [options.maxPages] Stop after this many pages.
+ * @param {number} [options.startOffset=0] Offset of the first page (to resume a previous run).
+ * @param {function(object, number): boolean} [options.stopWhen] Early stop predicate called for each
+ *   item with (item, index). When it returns true, pagination stops and that item is not included.
+ * @param {function(Array<object>, object): (boolean|void)} [options.onPage] Called with
+ *   (items, { pageNumber, offset, nextOffset, total, response }) for each page. Return false to stop.
+ * @param {string} [options.label='paginate'] Prefix for log messages.
+ * @param {string} [options.resourceName] Resource name for 404 messages (see RoseRocketClient.request()).
+ * @returns {Array<object>|object|null} The items array (without onPage), the summary
+ *   { itemsFetched, pages, nextOffset, total, done } (with onPage), or null on error.
+ */
+function paginate(instanceName, path, options = {}) {
+  const label = options.label || 'paginate';
+  const itemsPath = options.itemsPath || 'orders';
+  const totalPath = options.totalPath || itemsPath.split('.').slice(0, -1).concat('total').join('.');
+  const pageSize = options.pageSize || 50;
+  const client = getRoseRocketClient(instanceName);
+
+  const allItems = [];
+  let offset = options.startOffset || 0;
+  let itemsFetched = 0;
+  let pages = 0;
+  let total = null;
+  let done = false;
+
+  while (!done) {
+    if (options.maxPages && pages >= options.maxPages) {
+      break;
+    }
+
+    const result = client.get(path, {
+      label: label,
+      resourceName: options.resourceName,
+      query: joinQueries_(options.query, { limit: pageSize, offset: offset }),
+    });
+    if (!result.ok) {
+      return null; // Error already logged by the client
+    }
+    pages++;
+
+    let pageItems = getValueAtPath_(result.data, itemsPath);
+    if (pageItems === undefined || pageItems === null) {
+      Logger.log(`${label}: No '${itemsPath}' in the response, stopping.`);
+      pageItems = [];
+    }
+    if (!Array.isArray(pageItems)) {
+      Logger.log(`${label}: Unexpected response structure. Expected '${itemsPath}' array. Response: ${result.body}`);
+      return null;
+    }
+
+    const pageTotal = getValueAtPath_(result.data, totalPath);
+    if (typeof pageTotal === 'number') {
+      total = pageTotal;
+    }
+
+    // Apply the item-level limits (maxItems and stopWhen)
+    let items = pageItems;
+    for (let i = 0; i < pageItems.length; i++) {
+      if ((options.maxItems && itemsFetched + i >= options.maxItems)
+          || (options.stopWhen && options.stopWhen(pageItems[i], itemsFetched + i))) {
+        items = pageItems.slice(0, i);
+        done = true;
+        break;
+      }
+    }
+
+    itemsFetched += items.length;
+    const nextOffset = offset + items.length;
+
+    // An empty page, the known total or maxItems reached. A short page is not the end: the
+    // API may cap the page size below the requested limit.
+    if (pageItems.length === 0 || (total !== null && offset + pageItems.length >= total)
+        || (options.maxItems && itemsFetched >= options.maxItems)) {
+      done = true;
+    }
+
+    if (options.onPage) {
+      const keepGoing = options.onPage(items, {
+        pageNumber: pages,
+        offset: offset,
+        nextOffset: nextOffset,
+        total: total,
+        response: result.data,
+      });
+      if (keepGoing === false) {
+        offset = nextOffset;
+        break;
+      }
+    } else {
+      Array.prototype.push.apply(allItems, items);
+    }
+
+    offset = nextOffset;
+  }
+
+  Logger.log(`${label}: Retrieved ${itemsFetched} item(s) in ${pages} page(s)${total !== null ? ` (total: ${total})` : ''}.`);
+
+  if (!options.onPage) {
+    return allItems;
+  }
+  return {
+    itemsFetched: itemsFetched,
+    pages: pages,
+    nextOffset: offset,
+    total: total,
+    done: done,
+  };
+}
+
+/**
+ * Pages through a list endpoint and calls `processItem` for each item, stopping when the
+ * time budget runs out instead of being killed by the 6-minute execution limit. Used by the
+ * scans that make API calls per item (reconciliation, bulk tagging, equipment history).
+ * An unfinished scan is resumed with `startOffset: nextOffset`.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} path The API path of the list endpoint.
+ * @param {object} options The paginate() options (without onPage), plus:
+ * @param {number} [options.maxRuntimeMs] Stop processing items after this long (defaults to DEFAULT_SCAN_RUNTIME_MS).
+ * @param {function(object): void} processItem Called with each item.
+ * @returns {object|null} { scanned, nextOffset, done } — `done` is false if the time ran out
+ *   before the end of the list — or null if a page couldn't be read.
+ * @private
+ */
+function paginateWithTimeBudget_(instanceName, path, options, processItem) {
+  const startedAt = Date.now();
+  const maxRuntimeMs = options.maxRuntimeMs || DEFAULT_SCAN_RUNTIME_MS;
+  let scanned = 0;
+  let nextOffset = options.startOffset || 0;
+  let timedOut = false;
+
+  const summary = paginate(instanceName, path, Object.assign({}, options, {
+    onPage: (items, page) => {
+      for (let index = 0; index < items.length; index++) {
+        if (Date.now() - startedAt >= maxRuntimeMs) {
+          timedOut = true;
+          nextOffset = page.offset + index;
+          return false;
+        }
+        processItem(items[index]);
+        scanned++;
+      }
+      nextOffset = page.nextOffset;
+      return true;
+    },
+  }));
+  if (!summary) {
+    return null; // Error already logged by the client
+  }
+  if (timedOut) {
+    Logger.log(`${options.label || 'paginate'}: Time budget of ${Math.round(maxRuntimeMs / 1000)} s used after ${scanned} item(s). Resume with startOffset ${nextOffset}.`);
+  }
+  return { scanned: scanned, nextOffset: nextOffset, done: summary.done && !timedOut };
+}
+
+/**
+ * Merges a caller query (object or encoded string) with the paging parameters.
+ *
+ * @param {object|string} [query] The caller query.
+ * @param {object} pagingQuery The limit/offset parameters.
+ * @returns {string} The encoded query string.
+ * @private
+ */
+function joinQueries_(query, pagingQuery) {
+  return [RoseRocketClient.encodeQuery(query), RoseRocketClient.encodeQuery(pagingQuery)]
+    .filter(part => part)
+    .join('&');
+}
+
+/**
+ * Reads a value from an object with a dot path (e.g., 'data.address_books').
+ *
+ * @param {object} object The object to read.
+ * @param {string} path The dot path.
+ * @returns {*} The value, or undefined if any segment is missing.
+ * @private
+ */
+function getValueAtPath_(object, path) {
+  return path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), object);
+}
+
+
+/**
+ * Example usage of paginate() in page-by-page mode.
+ */
+function testPaginate() {
+  const summary = paginate(Instance.AMADO, '/api/v1/orders', {
+    query: { in_status_ids: 'delivered' },
+    itemsPath: 'orders',
+    pageSize: 25,
+    maxPages: 3,
+    onPage: (orders, page) => Logger.log(`Page ${page.pageNumber} (offset ${page.offset}): ${orders.length} orders of ${page.total}`),
+  });
+  Logger.log(JSON.stringify(summary));
+}
@@ -0,0 +1,228 @@
+/**
+ * RateLimiter class: client-side token bucket per Rose Rocket instance.
+ *
+ * Every RoseRocketClient request takes a token from the bucket of its instance
+ * before hitting the API, so loops over hundreds of orders don't get throttled.
+ * The bucket state lives in the script cache (CacheService) and is updated under
+ * a per-instance lock kept in the same cache, so it is shared by concurrent executions
+ * (triggers, web app requests and library consumers).
+ *
+ * The script lock (LockService) is deliberately not used: it is shared by the whole
+ * project, so taking it on every request would serialize every execution and release
+ * it under any caller that holds it while calling the library.
+ *
+ * Limits are stored with the instance configuration as a 'RATE_LIMIT' object:
+ * ```
+ * { "USERNAME": "...", ..., "RATE_LIMIT": { "capacity": 10, "refillPerSecond": 2 } }
+ * ```
+ * Missing keys fall back to DEFAULT_RATE_LIMIT. Set "RATE_LIMIT": false to disable
+ * the limiter for an instance.
+ */
+const DEFAULT_RATE_LIMIT = {
+  capacity: 10,          // Maximum burst of requests
+  refillPerSecond: 2,    // Sustained requests per second
+  maxWaitMs: 60000,      // Longest a single call waits for a token before going ahead anyway
+  lockTimeoutMs: 10000,  // Longest to wait for the bucket lock
+  lockSettleMs: 25,      // Wait after claiming the bucket lock before checking it is still ours
+};
+
+const RATE_LIMIT_LOCK_TTL_SECONDS = 5; // The bucket lock frees itself if its owner dies holding it
+
+class RateLimiter {
+  /**
+   * Resolves the rate limit for an instance.
+   *
+   * @param {string} instanceName The name of the instance (e.g., Instance.AMADO).
+   * @returns {object|null} The limit (DEFAULT_RATE_LIMIT merged with the instance
+   *   'RATE_LIMIT' config), or null if rate limiting is disabled for the instance.
+   */
+  getLimit(instanceName) {
+    const instanceLimit = instanceManager.getRateLimit(instanceName);
+    if (instanceLimit === false) {
+      return null;
+    }
+    return Object.assign({}, DEFAULT_RATE_LIMIT, instanceLimit || {});
+  }
+
+  /**
+   * Takes one token from the bucket of an instance, sleeping until one is available.
+   * If no token frees up within maxWaitMs, or the bucket lock can't be acquired, the call
+   * goes ahead anyway (the retry policy handles any 429 that follows).
+   *
+   * @param {string} instanceName The name of the instance (e.g., Instance.AMADO).
+   * @returns {number} The time spent waiting, in milliseconds.
+   */
+  acquire(instanceName) {
+    const limit = this.getLimit(instanceName);
+    if (!limit) {
+      return 0;
+    }
+
+    let waitedMs = 0;
+    while (true) {
+      const waitMs = this.tryTake_(instanceName, limit);
+      if (waitMs === 0) {
+        return waitedMs;
+      }
+      if (waitedMs + waitMs > limit.maxWaitMs) {
+        Logger.log(`RateLimiter: Waited ${waitedMs} ms for ${instanceName} without a free token. Proceeding anyway.`);
+        return waitedMs;
+      }
+      Utilities.sleep(waitMs);
+      waitedMs += waitMs;
+    }
+  }
+
+  /**
+   * Returns the current bucket state for an instance (for monitoring/debugging).
+   *
+   * @param {string} instanceName The name of the instance.
+   * @returns {object|null} { tokens, updatedAt } or null if the bucket hasn't been used yet.
+   */
+  getState(instanceName) {
+    const raw = CacheService.getScriptCache().get(this.getCacheKey_(instanceName));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Empties the stored bucket of an instance, so it starts full on the next call.
+   *
+   * @param {string} instanceName The name of the instance.
+   */
+  reset(instanceName) {
+    CacheService.getScriptCache().remove(this.getCacheKey_(instanceName));
+    Logger.log(`RateLimiter: Reset bucket for ${instanceName}.`);
+  }
+
+  /**
+   * Refills the bucket and tries to take one token.
+   *
+   * @param {string} instanceName The name of the instance.
+   * @param {object} limit The resolved limit.
+   * @returns {number} 0 if a token was taken, otherwise the milliseconds until the next token.
+   * @private
+   */
+  tryTake_(instanceName, limit) {
+    const owner = this.lockBucket_(instanceName, limit);
+    if (!owner) {
+      Logger.log(`RateLimiter: Could not acquire the bucket lock for ${instanceName} in ${limit.lockTimeoutMs} ms. Proceeding without rate limiting.`);
+      return 0;
+    }
+
+    try {
+      const cache = CacheService.getScriptCache();
+      const key = this.getCacheKey_(instanceName);
+      const now = Date.now();
+      const raw = cache.get(key);
+      const bucket = raw ? JSON.parse(raw) : { tokens: limit.capacity, updatedAt: now };
+
+      // Refill according to the time elapsed since the last update
+      const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillPerSecond);
+      bucket.updatedAt = now;
+
+      let waitMs = 0;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+      } else {
+        waitMs = Math.ceil(((1 - bucket.tokens) / limit.refillPerSecond) * 1000);
+      }
+
+      cache.put(key, JSON.stringify(bucket), 21600); // Max cache expiration (6 hours)
+      return waitMs;
+    } finally {
+      this.unlockBucket_(instanceName, owner);
+    }
+  }
+
+  /**
+   * Takes the bucket lock of an instance: a cache key holding the ID of its owner.
+   * CacheService has no atomic compare-and-set, so the ID is written, then read back after
+   * lockSettleMs: if a concurrent execution wrote its own ID in between, the last writer wins
+   * and the other one waits and tries again.
+   *
+   * @param {string} instanceName The name of the instance.
+   * @param {object} limit The resolved limit.
+   * @returns {string|null} The owner ID (see unlockBucket_()), or null if the lock wasn't
+   *   acquired within lockTimeoutMs.
+   * @private
+   */
+  lockBucket_(instanceName, limit) {
+    const cache = CacheService.getScriptCache();
+    const key = this.getLockKey_(instanceName);
+    const owner = Utilities.getUuid();
+    const deadline = Date.now() + limit.lockTimeoutMs;
+
+    while (Date.now() < deadline) {
+      if (!cache.get(key)) {
+        cache.put(key, owner, RATE_LIMIT_LOCK_TTL_SECONDS);
+        Utilities.sleep(limit.lockSettleMs);
+        if (cache.get(key) === owner) {
+          return owner;
+        }
+      }
+      Utilities.sleep(limit.lockSettleMs + Math.floor(Math.random() * limit.lockSettleMs)); // Jitter, so waiters don't collide again
+    }
+    return null;
+  }
+
+  /**
+   * Releases the bucket lock, only if it is still held by this owner (it may have expired
+   * and been taken by another execution).
+   *
+   * @param {string} instanceName The name of the instance.
+   * @param {string} owner The owner ID returned by lockBucket_().
+   * @private
+   */
+  unlockBucket_(instanceName, owner) {
+    const cache = CacheService.getScriptCache();
+    const key = this.getLockKey_(instanceName);
+    if (cache.get(key) === owner) {
+      cache.remove(key);
+    }
+  }
+
+  /**
+   * @param {string} instanceName The name of the instance.
+   * @returns {string} The cache key of the instance bucket.
+   * @private
+   */
+  getCacheKey_(instanceName) {
+    return `${RESERVED_PROPERTY_PREFIX}RATE_LIMIT_${instanceName}`;
+  }
+
+  /**
+   * @param {string} instanceName The name of the instance.
+   * @returns {string} The cache key of the instance bucket lock.
+   * @private
+   */
+  getLockKey_(instanceName) {
+    return `${RESERVED_PROPERTY_PREFIX}RATE_LIMIT_LOCK_${instanceName}`;
+  }
+}
+
+
+// Create a single, global instance of the RateLimiter.
+const rateLimiter = new RateLimiter();
+
+/**
+ * Returns the shared RateLimiter.
+ * @returns {RateLimiter} The rate limiter used by every library call.
+ */
+function getRateLimiter() {
+  return rateLimiter;
+}
+
+
+/**
+ * Example usage of the RateLimiter.
+ */
+function testRateLimiter() {
+  const instanceName = Instance.AMADO;
+  Logger.log(`Limit for ${instanceName}: ${JSON.stringify(rateLimiter.getLimit(instanceName))}`);
+
+  for (let i = 0; i < 15; i++) {
+    const waitedMs = rateLimiter.acquire(instanceName);
+    Logger.log(`Token ${i + 1}: waited ${waitedMs} ms. Bucket: ${JSON.stringify(rateLimiter.getState(instanceName))}`);
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Retry policy for Rose Rocket API calls.
+ *
+ * RoseRocketClient retries transient failures (network errors, 429 and 5xx responses)
+ * with exponential backoff and jitter, honoring the Retry-After header on 429 responses.
+ *
+ * The policy is resolved in three layers, each one overriding the previous:
+ * 1. DEFAULT_RETRY_POLICY (below).
+ * 2. The instance configuration: a `RETRY_POLICY` object stored with the instance
+ *    in Script Properties (see instanceManager.getRetryPolicy()).
+ * 3. The `retry` option of a single call (e.g., client.get(path, { retry: { maxAttempts: 5 } })).
+ *    Passing `retry: false` disables retries for that call.
+ *
+ * Non-idempotent requests (POST) are never retried unless the policy sets
+ * `retryNonIdempotent: true`, so a timed-out create can't produce a duplicate.
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,              // Total attempts, including the first one
+  initialDelayMs: 1000,        // Delay before the first retry
+  backoffMultiplier: 2,        // Delay grows as initialDelayMs * backoffMultiplier^(retry - 1)
+  maxDelayMs: 30000,           // Upper bound for any single delay (including Retry-After)
+  jitterMs: 1000,              // Random 0..jitterMs added to each computed delay
+  retryOnStatus: [429, 500, 502, 503, 504],
+  retryOnNetworkError: true,
+  retryNonIdempotent: false,   // Set to true to allow retrying POST requests
+};
+
+// HTTP methods that can be safely repeated.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+/**
+ * Resolves the effective retry policy for a call.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {object|boolean} [callPolicy] Per-call overrides, or false to disable retries.
+ * @returns {object} The merged retry policy.
+ */
+function resolveRetryPolicy(instanceName, callPolicy) {
+  if (callPolicy === false) {
+    return Object.assign({}, DEFAULT_RETRY_POLICY, { maxAttempts: 1 });
+  }
+  const instancePolicy = instanceManager.getRetryPolicy(instanceName) || {};
+  return Object.assign({}, DEFAULT_RETRY_POLICY, instancePolicy, callPolicy || {});
+}
+
+/**
+ * Checks whether a failed attempt should be retried.
+ *
+ * @param {object} policy The resolved retry policy.
+ * @param {string} method The HTTP method of the request.
+ * @param {object} result The client result of the failed attempt.
+ * @param {number} attempt The attempt number that just failed (1-based).
+ * @returns {boolean} True if the request should be sent again.
+ */
+function shouldRetryRequest(policy, method, result, attempt) {
+  if (attempt >= policy.maxAttempts) {
+    return false;
+  }
+  if (!policy.retryNonIdempotent && IDEMPOTENT_METHODS.indexOf(method.toUpperCase()) === -1) {
+    return false;
+  }
+  if (result.networkError) {
+    return policy.retryOnNetworkError;
+  }
+  return policy.retryOnStatus.indexOf(result.status) !== -1;
+}
+
+/**
+ * Computes how long to wait before the next attempt.
+ * A Retry-After header (seconds or HTTP date) takes precedence over the backoff curve.
+ *
+ * @param {object} policy The resolved retry policy.
+ * @param {number} attempt The attempt number that just failed (1-based).
+ * @param {object} [headers] The response headers of the failed attempt.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelayMs(policy, attempt, headers) {
+  const retryAfterMs = parseRetryAfterMs(headers);
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, policy.maxDelayMs);
+  }
+  const backoff = policy.initialDelayMs * Math.pow(policy.backoffMultiplier, attempt - 1);
+  const jitter = Math.random() * policy.jitterMs;
+  return Math.min(backoff + jitter, policy.maxDelayMs);
+}
+
+/**
+ * Reads the Retry-After header from a response.
+ *
+ * @param {object} [headers] The response headers (keys in any case).
+ * @returns {number|null} The delay in milliseconds, or null if the header is missing or invalid.
+ */
+function parseRetryAfterMs(headers) {
+  if (!headers) {
+    return null;
+  }
+  let value = null;
+  for (const key in headers) {
+    if (headers.hasOwnProperty(key) && key.toLowerCase() === 'retry-after') {
+      value = String(headers[key]).trim();
+      break;
+    }
+  }
+  if (!value) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+}
@@ -0,0 +1,384 @@
+/**
+ * RoseRocketClient: shared request layer for the Rose Rocket API.
+ *
+ * Every public function in this library goes through this class instead of
+ * calling UrlFetchApp directly. It takes care of:
+ * - Validating the instance against instanceManager.
+ * - Resolving the base URL with instanceManager.getInstanceBaseURL().
+ * - Getting the access token with getAccessTokenForInstance(), and re-authenticating
+ *   once if the API answers 401.
+ * - Building headers, query strings and JSON / multipart payloads.
+ * - Branching on the status code and parsing the JSON body.
+ * - Waiting for the per-instance rate limiter (rateLimiter.js) before each attempt.
+ * - Retrying transient failures according to the retry policy (retryPolicy.js).
+ * - Turning failures into typed errors (errors.js), returned in `result.error`
+ *   or thrown when the error mode is ErrorMode.THROW.
+ *
+ * All calls return the same result shape:
+ * ```
+ * {
+ *   ok: boolean,          // true for a 2xx response with a parseable body
+ *   status: number|null,  // HTTP status code, null if the request never got a response
+ *   data: object|null,    // Parsed JSON body (null for empty bodies)
+ *   body: string|null,    // Raw response body
+ *   headers: object,      // Response headers
+ *   error: RoseRocketError|null, // Typed error when ok is false (see errors.js)
+ *   networkError: boolean,// true if the request failed before getting a response
+ *   attempts: number,     // Number of attempts made (see retryPolicy.js)
+ *   method: string,
+ *   url: string|null,
+ *   instanceName: string
+ * }
+ * ```
+ */
+class RoseRocketClient {
+  /**
+   * @param {string} instanceName The name of the Rose Rocket instance (e.g., Instance.AMADO).
+   * @constructor
+   */
+  constructor(instanceName) {
+    this.instanceName = instanceName;
+    this.baseUrl = null; // Resolved lazily from instanceManager.
+  }
+
+  /**
+   * Sends a GET request.
+   *
+   * @param {string} path The API path (e.g., '/api/v1/orders/123').
+   * @param {object} [options] See request().
+   * @returns {object} The uniform result object.
+   */
+  get(path, options = {}) {
+    return this.request('GET', path, options);
+  }
+
+  /**
+   * Sends a POST request with a JSON payload.
+   *
+   * @param {string} path The API path.
+   * @param {object} [payload] The object to send as JSON.
+   * @param {object} [options] See request().
+   * @returns {object} The uniform result object.
+   */
+  post(path, payload, options = {}) {
+    return this.request('POST', path, Object.assign({}, options, { payload: payload }));
+  }
+
+  /**
+   * Sends a PUT request with a JSON payload.
+   *
+   * @param {string} path The API path.
+   * @param {object} [payload] The object to send as JSON.
+   * @param {object} [options] See request().
+   * @returns {object} The uniform result object.
+   */
+  put(path, payload, options = {}) {
+    return this.request('PUT', path, Object.assign({}, options, { payload: payload }));
+  }
+
+  /**
+   * Sends a DELETE request.
+   *
+   * @param {string} path The API path.
+   * @param {object} [options] See request().
+   * @returns {object} The uniform result object.
+   */
+  delete(path, options = {}) {
+    return this.request('DELETE', path, options);
+  }
+
+  /**
+   * Returns the base URL for the instance (without trailing slash), or null if
+   * the instance configuration is missing.
+   *
+   * @returns {string|null}
+   */
+  getBaseUrl() {
+    if (this.baseUrl === null) {
+      this.baseUrl = instanceManager.getInstanceBaseURL(this.instanceName);
+    }
+    return this.baseUrl;
+  }
+
+  /**
+   * Builds the full URL for a path and an optional query.
+   *
+   * @param {string} path The API path, or a full URL starting with http.
+   * @param {object|string} [query] An object of query parameters (arrays are joined
+   *   with commas, null/undefined values are skipped) or an already encoded query string.
+   * @returns {string|null} The full URL, or null if the base URL can't be resolved.
+   */
+  buildUrl(path, query) {
+    let url = path;
+    if (!/^https?:\/\//.test(path)) {
+      const baseUrl = this.getBaseUrl();
+      if (!baseUrl) {
+        return null;
+      }
+      url = `${baseUrl}${path.charAt(0) === '/' ? '' : '/'}${path}`;
+    }
+
+    const queryString = RoseRocketClient.encodeQuery(query);
+    if (queryString) {
+      url += (url.indexOf('?') === -1 ? '?' : '&') + queryString;
+    }
+    return url;
+  }
+
+  /**
+   * Encodes a query object into a query string.
+   *
+   * @param {object|string} [query] The query object or an already encoded string.
+   * @returns {string} The encoded query string (without leading '?').
+   */
+  static encodeQuery(query) {
+    if (!query) {
+      return '';
+    }
+    if (typeof query === 'string') {
+      return query.charAt(0) === '?' ? query.substring(1) : query;
+    }
+
+    const parts = [];
+    for (const key in query) {
+      if (!query.hasOwnProperty(key)) {
+        continue;
+      }
+      const value = query[key];
+      if (value === null || value === undefined || value === '') {
+        continue;
+      }
+      const encodedValue = Array.isArray(value)
+        ? value.map(v => encodeURIComponent(v)).join(',')
+        : encodeURIComponent(value);
+      parts.push(`${encodeURIComponent(key)}=${encodedValue}`);
+    }
+    return parts.join('&');
+  }
+
+  /**
+   * Sends a request to the Rose Rocket API.
+   *
+   * @param {string} method The HTTP method (GET, POST, PUT, DELETE).
+   * @param {string} path The API path (e.g., '/api/v1/orders/123').
+   * @param {object} [options]
+   * @param {object|string} [options.query] Query parameters, see buildUrl().
+   * @param {object} [options.payload] Object to send as a JSON body.
+   * @param {object} [options.formData] Object to send as multipart/form-data (e.g., file uploads).
+   * @param {object} [options.headers] Extra headers.
+   * @param {string} [options.label] Prefix for log messages (usually the calling function name).
+   * @param {string} [options.resourceName] Name used in 404 log messages (e.g., 'Order').
+   * @param {object|boolean} [options.retry] Retry policy overrides for this call, or false to disable retries.
+   * @param {string} [options.errorMode] ErrorMode for this call, overriding getErrorMode().
+   * @param {string} [options.notFound] 'return' to return the failed result of a 404 even in
+   *   ErrorMode.THROW, for readers where "not found" means "nothing there" (e.g., no tags).
+   * @returns {object} The uniform result object (see class description).
+   * @throws {RoseRocketError} When the request fails and the error mode is ErrorMode.THROW.
+   */
+  request(method, path, options = {}) {
+    const label = options.label || 'RoseRocketClient';
+    const result = {
+      ok: false,
+      status: null,
+      data: null,
+      body: null,
+      headers: {},
+      error: null,
+      networkError: false,
+      attempts: 0,
+      method: method,
+      url: null,
+      instanceName: this.instanceName,
+    };
+
+    const details = { instance: this.instanceName, method: method };
+
+    // 1. Validate the instance
+    if (!instanceManager.isValidInstance(this.instanceName)) {
+      return this.fail_(result, new ConfigError(`Error: Invalid instance: ${this.instanceName}. Use one of: ${Object.keys(instanceManager.getAllConfigs() || {}).join(', ')}`, details), label, options);
+    }
+
+    // 2. Build the URL
+    result.url = this.buildUrl(path, options.query);
+    if (!result.url) {
+      return this.fail_(result, new ConfigError(`Error: Could not determine base URL for instance: ${this.instanceName}`, details), label, options);
+    }
+    details.endpoint = result.url;
+
+    // 3. Get the access token
+    const accessToken = getAccessTokenForInstance(this.instanceName);
+    if (!accessToken) {
+      return this.fail_(result, new UnauthorizedError('Error: Could not retrieve access token.', details), label, options);
+    }
+
+    // 4. Prepare the UrlFetchApp options
+    const fetchOptions = {
+      method: method.toLowerCase(),
+      headers: Object.assign({
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/json',
+      }, options.headers || {}),
+      muteHttpExceptions: true,
+    };
+    if (options.formData) {
+      fetchOptions.payload = options.formData; // UrlFetchApp builds the multipart body
+    } else if (options.payload !== undefined) {
+      fetchOptions.contentType = 'application/json';
+      fetchOptions.payload = JSON.stringify(options.payload);
+    }
+
+    // 5. Make the API call, retrying transient failures (see retryPolicy.js)
+    const policy = resolveRetryPolicy(this.instanceName, options.retry);
+    let reauthenticated = false;
+    for (let attempt = 1; ; attempt++) {
+      rateLimiter.acquire(this.instanceName); // Shared token bucket per instance (rateLimiter.js)
+      Logger.log(`${label}: ${method} ${result.url}`);
+      this.send_(result, fetchOptions, label, options.resourceName);
+      result.attempts = attempt;
+
+      if (result.ok) {
+        return result;
+      }
+
+      // The stored token was rejected: authenticate again once and resend (not counted as a retry)
+      if (result.status === 401 && !reauthenticated) {
+        reauthenticated = true;
+        Logger.log(`${label}: Access token rejected (401). Re-authenticating ${this.instanceName} once.`);
+        invalidateAccessToken(this.instanceName);
+        const newAccessToken = getAccessTokenForInstance(this.instanceName);
+        if (newAccessToken) {
+          fetchOptions.headers['Authorization'] = `Bearer ${newAccessToken}`;
+          attempt--;
+          continue;
+        }
+      }
+      if (!shouldRetryRequest(policy, method, result, attempt)) {
+        return this.fail_(result, result.error, label, options);
+      }
+
+      const delayMs = getRetryDelayMs(policy, attempt, result.headers);
+      Logger.log(`${label}: Attempt ${attempt} of ${policy.maxAttempts} failed (${result.error.message}). Retrying in ${Math.round(delayMs)} ms...`);
+      Utilities.sleep(delayMs);
+    }
+  }
+
+  /**
+   * Sends a single HTTP request and fills the status, body, data and error
+   * fields of the result object.
+   *
+   * @param {object} result The result object to fill.
+   * @param {object} fetchOptions The UrlFetchApp options.
+   * @param {string} label Prefix for log messages.
+   * @param {string} [resourceName] Name used in 404 log messages.
+   * @private
+   */
+  send_(result, fetchOptions, label, resourceName) {
+    result.ok = false;
+    result.status = null;
+    result.data = null;
+    result.body = null;
+    result.headers = {};
+    result.error = null;
+    result.networkError = false;
+
+    let response;
+    try {
+      response = UrlFetchApp.fetch(result.url, fetchOptions);
+    } catch (fetchError) {
+      result.networkError = true;
+      result.error = new NetworkError(`Network error during ${result.method} ${result.url}: ${fetchError}`, {
+        endpoint: result.url,
+        method: result.method,
+        instance: result.instanceName,
+      });
+      return;
+    }
+
+    result.status = response.getResponseCode();
+    result.body = response.getContentText();
+    result.headers = response.getHeaders() || {};
+
+    if (result.status >= 200 && result.status < 300) {
+      if (!result.body) {
+        result.ok = true;
+        return;
+      }
+      try {
+        result.data = JSON.parse(result.body);
+        result.ok = true;
+      } catch (parseError) {
+        result.error = createErrorFromResponse(`Error parsing JSON response: ${parseError}. Raw response content: ${result.body}`, result);
+      }
+      return;
+    }
+
+    let message;
+    if (result.status === 400) {
+      message = `Bad Request (400): ${result.body}`;
+    } else if (result.status === 404) {
+      message = `${resourceName || 'Resource'} Not Found (404): ${result.body}`;
+    } else {
+      message = `API Error: ${result.status} - ${result.body}`;
+    }
+    result.error = createErrorFromResponse(message, result);
+  }
+
+  /**
+   * Records a final error on the result, logs it and, in throwing mode, throws it.
+   *
+   * @param {object} result The result object.
+   * @param {RoseRocketError} error The typed error.
+   * @param {string} label Prefix for log messages.
+   * @param {object} options The request options (see request()).
+   * @returns {object} The result object, when not in throwing mode (or for a 404 with notFound: 'return').
+   * @throws {RoseRocketError} When the error mode is ErrorMode.THROW.
+   * @private
+   */
+  fail_(result, error, label, options) {
+    result.ok = false;
+    result.error = error;
+    Logger.log(`${label}: ${error.message}`);
+
+    if (result.status === 404 && options.notFound === 'return') {
+      return result; // The caller handles "not found" itself
+    }
+
+    const mode = options.errorMode || getErrorMode(this.instanceName);
+    if (mode === ErrorMode.THROW) {
+      throw error;
+    }
+    return result;
+  }
+}
+
+
+// One client per instance, shared by every function in the library.
+const ROSE_ROCKET_CLIENTS = {};
+
+/**
+ * Returns the shared RoseRocketClient for an instance.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance (e.g., Instance.AMADO).
+ * @returns {RoseRocketClient} The client for the instance.
+ */
+function getRoseRocketClient(instanceName) {
+  if (!ROSE_ROCKET_CLIENTS[instanceName]) {
+    ROSE_ROCKET_CLIENTS[instanceName] = new RoseRocketClient(instanceName);
+  }
+  return ROSE_ROCKET_CLIENTS[instanceName];
+}
+
+
+/**
+ * Example usage of the RoseRocketClient.
+ */
+function testRoseRocketClient() {
+  const client = getRoseRocketClient(Instance.AMADO);
+  const result = client.get('/api/v1/orders', { query: { in_status_ids: ['delivered'], limit: 1 } });
+
+  if (result.ok) {
+    Logger.log(`Client OK (${result.status}): ${JSON.stringify(result.data).substring(0, 500)}`);
+  } else {
+    Logger.log(`Client error (${result.status}): ${result.error.name} - ${result.error.message}`);
+  }
+}
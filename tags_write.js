@@ -0,0 +1,451 @@
+/**
+ * Tag write operations for manifests (master trips) and orders: add, remove and replace
+ * tags, and tag every manifest matching a filter.
+ *
+ * Tags are identified by their ID (as in OrderQueryBuilder.tags()). Each write reads the
+ * current tags, computes the new set and adds or removes only the tags that differ, one
+ * request per tag, returning { success, before, after, changed, error }. The full tag list
+ * is never sent back: if the current tags can't be read (including a 404 or a response
+ * without the tag list), nothing is written.
+ */
+
+// Resources whose tags can be written: the path of their tags endpoint and of a single tag
+const TAGGABLE_RESOURCES = {
+  manifest: {
+    path: manifestId => `/api/v1/master_trips/${manifestId}/tags`,
+    tagPath: (manifestId, tagId) => `/api/v1/master_trips/${manifestId}/tags/${tagId}`,
+    resourceName: 'Manifest tags',
+  },
+  order: {
+    path: orderId => `/api/v1/orders/${orderId}/tags`,
+    tagPath: (orderId, tagId) => `/api/v1/orders/${orderId}/tags/${tagId}`,
+    resourceName: 'Order tags',
+  },
+};
+
+// Filters of tagManifestsByFilter(): (manifest, value) => boolean. `manifest` is the manifest
+// read with getManifestById() (with its legs); all the filters given must match.
+const MANIFEST_TAG_FILTERS = {
+  crossBorder: (manifest, value) => isCrossBorderManifest_(manifest) === !!value,
+  hazmat: (manifest, value) => isHazmatManifest_(manifest) === !!value,
+  customerId: (manifest, value) => getManifestLegs_(manifest).some(leg => getLegCustomerId_(leg) === value),
+  where: (manifest, predicate) => !!predicate(manifest),
+};
+
+
+/**
+ * Adds tags to a manifest. Tags it already has are left as they are.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * const tagged = addTagsToManifest(Instance.AMADO, manifestId, [hazmatTagId]);
+ * Logger.log(`${tagged.success}: ${tagged.before.length} → ${tagged.after.length} tags`);
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string|Array<string>} tagIds The IDs of the tags to add.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] Compute the change without writing it.
+ * @returns {object} { success, before, after, changed, dryRun, error } — `before` and `after` are tag IDs.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function addTagsToManifest(instanceName, manifestId, tagIds, options = {}) {
+  return writeTags_('addTagsToManifest', instanceName, 'manifest', manifestId, { add: tagIds }, options);
+}
+
+/**
+ * Removes tags from a manifest. Tags it doesn't have are ignored.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {string|Array<string>} tagIds The IDs of the tags to remove.
+ * @param {object} [options] See addTagsToManifest().
+ * @returns {object} { success, before, after, changed, dryRun, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function removeTagsFromManifest(instanceName, manifestId, tagIds, options = {}) {
+  return writeTags_('removeTagsFromManifest', instanceName, 'manifest', manifestId, { remove: tagIds }, options);
+}
+
+/**
+ * Replaces all the tags of a manifest (an empty array removes them all).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} manifestId The Rose Rocket manifest ID.
+ * @param {Array<string>} tagIds The IDs of the tags the manifest must have.
+ * @param {object} [options] See addTagsToManifest().
+ * @returns {object} { success, before, after, changed, dryRun, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function replaceManifestTags(instanceName, manifestId, tagIds, options = {}) {
+  return writeTags_('replaceManifestTags', instanceName, 'manifest', manifestId, { replace: tagIds }, options);
+}
+
+/**
+ * Adds tags to an order. Tags it already has are left as they are.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string|Array<string>} tagIds The IDs of the tags to add.
+ * @param {object} [options] See addTagsToManifest().
+ * @returns {object} { success, before, after, changed, dryRun, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function addTagsToOrder(instanceName, orderId, tagIds, options = {}) {
+  return writeTags_('addTagsToOrder', instanceName, 'order', orderId, { add: tagIds }, options);
+}
+
+/**
+ * Removes tags from an order. Tags it doesn't have are ignored.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {string|Array<string>} tagIds The IDs of the tags to remove.
+ * @param {object} [options] See addTagsToManifest().
+ * @returns {object} { success, before, after, changed, dryRun, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function removeTagsFromOrder(instanceName, orderId, tagIds, options = {}) {
+  return writeTags_('removeTagsFromOrder', instanceName, 'order', orderId, { remove: tagIds }, options);
+}
+
+/**
+ * Replaces all the tags of an order (an empty array removes them all).
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @param {Array<string>} tagIds The IDs of the tags the order must have.
+ * @param {object} [options] See addTagsToManifest().
+ * @returns {object} { success, before, after, changed, dryRun, error }.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function replaceOrderTags(instanceName, orderId, tagIds, options = {}) {
+  return writeTags_('replaceOrderTags', instanceName, 'order', orderId, { replace: tagIds }, options);
+}
+
+/**
+ * Gets the tags of an order.
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} orderId The Rose Rocket order ID.
+ * @returns {Array<object>|null} The tags ([] if the order has none or isn't found), or null on error.
+ */
+function getTagsForOrder(instanceName, orderId) {
+  const label = 'getTagsForOrder';
+  const result = getRoseRocketClient(instanceName).get(TAGGABLE_RESOURCES.order.path(orderId), {
+    label: label,
+    resourceName: TAGGABLE_RESOURCES.order.resourceName,
+    notFound: 'return', // 404 means "no tags", also in ErrorMode.THROW
+  });
+  if (result.status === 404) {
+    return [];
+  }
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  return result.data && Array.isArray(result.data.data) ? result.data.data : [];
+}
+
+/**
+ * Adds (or removes) tags on every manifest matching a filter. Manifests are listed with the
+ * manifest search and read one by one (getManifestById()) to apply the filter. The scan stops
+ * before the execution time limit; run it again with `startOffset: nextOffset` to go on.
+ *
+ * ### Ejemplo de Uso:
+ * ```javascript
+ * // What would be tagged? Nothing is written with dryRun.
+ * const preview = tagManifestsByFilter(Instance.AMADO, [crossBorderTagId], { crossBorder: true, query: { status: 'planned' } }, { dryRun: true });
+ * preview.changes.forEach(c => Logger.log(`${c.publicId}: ${c.before.join(', ')} → ${c.after.join(', ')}`));
+ *
+ * tagManifestsByFilter(Instance.AMADO, [hazmatTagId], { hazmat: true });
+ * tagManifestsByFilter(Instance.AMADO, [vipTagId], { customerId: customerId, where: m => m.status !== 'cancelled' });
+ * ```
+ *
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string|Array<string>} tagIds The IDs of the tags to add (or remove).
+ * @param {object} filter The conditions a manifest must meet (all of them):
+ * @param {object} [filter.query] Query parameters of the manifest search (e.g., { status, created_start_at }).
+ * @param {boolean} [filter.crossBorder] Its legs start and end in different countries (or not, if false).
+ * @param {boolean} [filter.hazmat] A commodity of its legs is dangerous goods (or none is, if false).
+ * @param {string} [filter.customerId] A leg belongs to an order of this customer.
+ * @param {function(object): boolean} [filter.where] Any other condition on the manifest.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] List what would change without writing it.
+ * @param {boolean} [options.remove=false] Remove the tags instead of adding them.
+ * @param {number} [options.maxManifests] Stop the search after this many manifests.
+ * @param {number} [options.startOffset=0] Resume a previous run from its `nextOffset`.
+ * @param {number} [options.maxRuntimeMs] Stop scanning after this long (see DEFAULT_SCAN_RUNTIME_MS).
+ * @returns {object|null} { dryRun, scanned, matched, changes, unchanged, failed, done, nextOffset }:
+ *   - `changes`: { manifestId, publicId, before, after, success } for each manifest that
+ *     changes (or would change, with dryRun).
+ *   - `unchanged`: IDs of the matching manifests that already had (or lacked) the tags.
+ *   - `failed`: { manifestId, error } for each manifest that couldn't be read or written.
+ *   - `done`: false if the time ran out; run again with `startOffset: nextOffset`.
+ *   Returns null if the filter is invalid or the search fails.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ */
+function tagManifestsByFilter(instanceName, tagIds, filter, options = {}) {
+  const label = 'tagManifestsByFilter';
+  const ids = normalizeTagIds_(tagIds);
+  const conditions = Object.keys(filter || {}).filter(key => key !== 'query');
+  const unknownConditions = conditions.filter(key => !MANIFEST_TAG_FILTERS.hasOwnProperty(key));
+  if (ids.length === 0 || conditions.length === 0 || unknownConditions.length > 0) {
+    return reportRoseRocketError(new ConfigError(
+      `${label}: At least one tag ID and one filter are required. Unknown filters: ${unknownConditions.join(', ') || 'none'}. Use: ${Object.keys(MANIFEST_TAG_FILTERS).join(', ')}, query.`,
+      { instance: instanceName }));
+  }
+  if (filter.where !== undefined && typeof filter.where !== 'function') {
+    return reportRoseRocketError(new ConfigError(`${label}: filter.where must be a function.`, { instance: instanceName }));
+  }
+
+  const report = { dryRun: !!options.dryRun, scanned: 0, matched: 0, changes: [], unchanged: [], failed: [], done: false, nextOffset: null };
+  const change = options.remove ? { remove: ids } : { add: ids };
+  const scan = paginateWithTimeBudget_(instanceName, '/api/v1/manifests', {
+    label: label,
+    resourceName: 'Manifest',
+    query: filter.query,
+    itemsPath: 'manifests',
+    maxItems: options.maxManifests,
+    startOffset: options.startOffset,
+    maxRuntimeMs: options.maxRuntimeMs,
+  }, summary => {
+    const manifestId = summary.id;
+    try {
+      const manifest = unwrapManifest_(getManifestById(instanceName, manifestId));
+      if (!manifest) {
+        report.failed.push({ manifestId: manifestId, error: 'The manifest could not be read (see the logs).' });
+        return;
+      }
+      if (!conditions.every(key => MANIFEST_TAG_FILTERS[key](manifest, filter[key]))) {
+        return;
+      }
+      report.matched++;
+
+      const written = writeTags_(label, instanceName, 'manifest', manifestId, change, { dryRun: options.dryRun });
+      if (written.error) {
+        report.failed.push({ manifestId: manifestId, error: written.error.message });
+      } else if (written.changed) {
+        report.changes.push({ manifestId: manifestId, publicId: manifest.public_id || null, before: written.before, after: written.after, success: written.success });
+      } else {
+        report.unchanged.push(manifestId);
+      }
+    } catch (e) {
+      report.failed.push({ manifestId: manifestId, error: e.message }); // ErrorMode.THROW: keep going with the rest
+    }
+  });
+  if (!scan) {
+    return null; // Error already logged by the client
+  }
+  report.scanned = scan.scanned;
+  report.done = scan.done;
+  report.nextOffset = scan.nextOffset;
+
+  Logger.log(`${label}: ${report.dryRun ? '[dryRun] ' : ''}${report.scanned} manifest(s) scanned, ${report.matched} matched, ${report.changes.length} ${report.dryRun ? 'would change' : 'changed'}, ${report.failed.length} failed.${report.done ? '' : ` Unfinished: run again with startOffset ${report.nextOffset}.`}`);
+  return report;
+}
+
+/**
+ * Reads the current tags of a resource, applies the change and adds or removes the tags that differ.
+ *
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} resource The resource type (a key of TAGGABLE_RESOURCES).
+ * @param {string} id The resource ID.
+ * @param {object} change { add } / { remove } / { replace } with the tag IDs.
+ * @param {object} options { dryRun }.
+ * @returns {object} { success, before, after, changed, dryRun, error }.
+ * @private
+ */
+function writeTags_(label, instanceName, resource, id, change, options) {
+  const taggable = TAGGABLE_RESOURCES[resource];
+  const writeResult = { success: false, before: null, after: null, changed: false, dryRun: !!options.dryRun, error: null };
+  if (!id || (change.replace === undefined && normalizeTagIds_(change.add || change.remove).length === 0)) {
+    writeResult.error = new ValidationError(`${label}: A ${resource} ID and at least one tag ID are required.`, { instance: instanceName });
+    return reportRoseRocketError(writeResult.error, writeResult);
+  }
+  if (change.replace !== undefined && !Array.isArray(change.replace)) {
+    writeResult.error = new ValidationError(`${label}: The replacement tags must be an array of tag IDs.`, { instance: instanceName });
+    return reportRoseRocketError(writeResult.error, writeResult);
+  }
+
+  const before = readTagIdsForWrite_(label, instanceName, resource, id);
+  if (before === null) {
+    writeResult.error = new RoseRocketError(`${label}: Couldn't read the tags of ${resource} ${id}. Nothing was changed.`, { instance: instanceName });
+    return writeResult; // Error already logged
+  }
+
+  let after;
+  if (change.replace !== undefined) {
+    after = normalizeTagIds_(change.replace);
+  } else if (change.add !== undefined) {
+    after = before.concat(normalizeTagIds_(change.add).filter(tagId => before.indexOf(tagId) === -1));
+  } else {
+    const removed = normalizeTagIds_(change.remove);
+    after = before.filter(tagId => removed.indexOf(tagId) === -1);
+  }
+  const toAdd = after.filter(tagId => before.indexOf(tagId) === -1);
+  const toRemove = before.filter(tagId => after.indexOf(tagId) === -1);
+  writeResult.before = before;
+  writeResult.after = after;
+  writeResult.changed = toAdd.length > 0 || toRemove.length > 0;
+
+  if (!writeResult.changed || options.dryRun) {
+    Logger.log(`${label}: ${options.dryRun ? '[dryRun] ' : ''}${resource} ${id}: ${writeResult.changed ? `[${before.join(', ')}] → [${after.join(', ')}]` : 'no change'}.`);
+    writeResult.success = true;
+    return writeResult;
+  }
+
+  // One request per tag, so tags added by someone else in the meantime are kept
+  const client = getRoseRocketClient(instanceName);
+  const requestOptions = { label: label, resourceName: taggable.resourceName };
+  const current = before.slice();
+  const writes = toRemove.map(tagId => ({ tagId: tagId, remove: true })).concat(toAdd.map(tagId => ({ tagId: tagId, remove: false })));
+  for (const write of writes) {
+    const result = write.remove
+      ? client.delete(taggable.tagPath(id, write.tagId), requestOptions)
+      : client.post(taggable.tagPath(id, write.tagId), {}, requestOptions);
+    if (!result.ok) {
+      writeResult.after = current; // What the resource has now
+      writeResult.error = result.error;
+      Logger.log(`${label}: ${resource} ${id}: stopped at tag ${write.tagId}. Tags now: [${current.join(', ')}].`);
+      return writeResult;
+    }
+    if (write.remove) {
+      current.splice(current.indexOf(write.tagId), 1);
+    } else {
+      current.push(write.tagId);
+    }
+  }
+
+  writeResult.success = true;
+  Logger.log(`${label}: ${resource} ${id}: [${before.join(', ')}] → [${after.join(', ')}].`);
+  return writeResult;
+}
+
+/**
+ * Reads the current tag IDs of a resource before a write. Unlike getTagsForManifest() and
+ * getTagsForOrder(), a 404 or a response without the tag list is an error, not "no tags":
+ * writing from a wrong starting point would add or remove the wrong tags.
+ *
+ * @param {string} label Prefix for log messages.
+ * @param {string} instanceName The name of the Rose Rocket instance.
+ * @param {string} resource The resource type (a key of TAGGABLE_RESOURCES).
+ * @param {string} id The resource ID.
+ * @returns {Array<string>|null} The tag IDs, or null if they couldn't be read.
+ * @throws {RoseRocketError} When the error mode is ErrorMode.THROW (see errors.js).
+ * @private
+ */
+function readTagIdsForWrite_(label, instanceName, resource, id) {
+  const taggable = TAGGABLE_RESOURCES[resource];
+  const result = getRoseRocketClient(instanceName).get(taggable.path(id), {
+    label: label,
+    resourceName: taggable.resourceName,
+  });
+  if (!result.ok) {
+    return null; // Error already logged by the client
+  }
+  if (!result.data || !Array.isArray(result.data.data)) {
+    return reportRoseRocketError(new ServerError(`${label}: Unexpected response for the tags of ${resource} ${id}. Expected 'data' array. Response: ${result.body}`, {
+      instance: instanceName,
+      statusCode: result.status,
+      responseBody: result.body,
+    }));
+  }
+  return result.data.data.map(getTagId_).filter(tagId => tagId);
+}
+
+/**
+ * @param {string|Array<string>} tagIds A tag ID or a list of them.
+ * @returns {Array<string>} The non-empty tag IDs, without duplicates.
+ * @private
+ */
+function normalizeTagIds_(tagIds) {
+  const ids = [];
+  [].concat(tagIds === undefined || tagIds === null ? [] : tagIds).forEach(tagId => {
+    const value = String(tagId || '').trim();
+    if (value && ids.indexOf(value) === -1) {
+      ids.push(value);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Tag entries carry the tag ID in different fields depending on the endpoint.
+ *
+ * @param {object} tag An entry of getTagsForManifest() or getTagsForOrder().
+ * @returns {string|null} The tag ID.
+ * @private
+ */
+function getTagId_(tag) {
+  if (!tag) {
+    return null;
+  }
+  return tag.tag_id || (tag.tag && tag.tag.id) || tag.id || null;
+}
+
+/**
+ * @param {object} manifest The manifest (see getManifestById()).
+ * @returns {Array<object>} Its legs.
+ * @private
+ */
+function getManifestLegs_(manifest) {
+  return (manifest && manifest.legs) || [];
+}
+
+/**
+ * @param {object} manifest The manifest (see getManifestById()).
+ * @returns {boolean} True if its legs touch more than one country.
+ * @private
+ */
+function isCrossBorderManifest_(manifest) {
+  const countries = [];
+  getManifestLegs_(manifest).forEach(leg => {
+    [leg.origin, leg.destination].forEach(place => {
+      const country = place && place.country ? String(place.country).toUpperCase() : null;
+      if (country && countries.indexOf(country) === -1) {
+        countries.push(country);
+      }
+    });
+  });
+  return countries.length > 1;
+}
+
+/**
+ * @param {object} manifest The manifest (see getManifestById()).
+ * @returns {boolean} True if a commodity of its legs is dangerous goods.
+ * @private
+ */
+function isHazmatManifest_(manifest) {
+  return getManifestLegs_(manifest).some(leg =>
+    (leg.commodities || []).some(commodity => !!(commodity.is_dangerous || commodity.is_hazmat || commodity.dangerous_goods)));
+}
+
+/**
+ * @param {object} leg A leg of the manifest.
+ * @returns {string|null} The ID of the customer of the leg's order.
+ * @private
+ */
+function getLegCustomerId_(leg) {
+  return leg.customer_id || (leg.customer && leg.customer.id) || (leg.order && leg.order.customer_id) || null;
+}
+
+
+/**
+ * Example usage of the tag functions (dry run: nothing is written).
+ */
+function testTagManifestsByFilter() {
+  const instanceName = Instance.AMADO;
+  const manifestId = '94850ba5-d789-475a-bc31-640fb6f9d069'; // Use a *REAL* test manifest ID here.
+  const crossBorderTagId = 'REPLACE-WITH-TAG-ID';
+
+  const single = addTagsToManifest(instanceName, manifestId, crossBorderTagId, { dryRun: true });
+  Logger.log(`Single: ${JSON.stringify(single.before)} → ${JSON.stringify(single.after)}`);
+
+  const preview = tagManifestsByFilter(instanceName, [crossBorderTagId], { crossBorder: true }, { dryRun: true, maxManifests: 50 });
+  if (preview) {
+    preview.changes.forEach(c => Logger.log(`${c.publicId || c.manifestId}: [${c.before.join(', ')}] → [${c.after.join(', ')}]`));
+    Logger.log(`Failed: ${JSON.stringify(preview.failed)}`);
+  }
+}